@@ -0,0 +1,35 @@
+/**
+ * Transcriptify - AudioWorklet processor for live capture
+ * Posts the input, downmixed to mono, to the main thread in blocks; see Transcriber.transcribeStream()
+ */
+
+// 128 frames arrive per process() call; batching them keeps the message rate down (~85ms at 48kHz)
+const BLOCK_SIZE = 4096;
+
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.block = new Float32Array(BLOCK_SIZE);
+        this.length = 0;
+    }
+
+    process(inputs) {
+        const channels = inputs[0];
+        if (!channels || !channels.length) return true;
+
+        for (let i = 0; i < channels[0].length; i++) {
+            let sum = 0;
+            for (let channel = 0; channel < channels.length; channel++) sum += channels[channel][i];
+            this.block[this.length++] = sum / channels.length;
+
+            if (this.length === BLOCK_SIZE) {
+                this.port.postMessage(this.block, [this.block.buffer]);
+                this.block = new Float32Array(BLOCK_SIZE);
+                this.length = 0;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('transcriptify-capture', CaptureProcessor);
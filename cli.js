@@ -0,0 +1,590 @@
+#!/usr/bin/env node
+/**
+ * Transcriptify - command-line transcriber
+ * Runs the same Transcriber as the page under Node: audio is decoded by ffmpeg (WAV files are read directly),
+ * resampled and segmented by transcribe.js, and written with its exporters. The model runs in a worker thread
+ * through whisper-worker.js, importing transformers.js from node_modules.
+ *
+ *   transcriptify input.mp4 -o out.srt
+ *   transcriptify "lectures/*.mp4" -o subtitles/ --format srt,vtt --model Xenova/whisper-base --language auto
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { parseArgs } = require('util');
+const { pathToFileURL } = require('url');
+const { Worker } = require('worker_threads');
+const { Transcriber } = require('./transcribe.js');
+
+const USAGE = `Usage: transcriptify <input...> [options]
+
+Inputs are media files or glob patterns ("videos/**/*.mp4").
+
+Options:
+  -o, --output <path>      Output file, or a directory (ending in / or existing) for one file per input.
+                           Defaults to next to each input.
+  -f, --format <formats>   Comma-separated export formats (default: from the output extension, else srt).
+                           Available: ${Transcriber.getExporters().map(e => e.format).join(', ')}
+  -m, --model <model>      Whisper model (default: Xenova/whisper-tiny.en)
+  -l, --language <code>    Spoken language, or "auto" (default: en)
+      --translate          Translate the speech to English
+      --word-timestamps    Keep word-level timing (for vtt-karaoke, ass and json)
+      --no-vad             Transcribe silence too instead of skipping it
+      --diarize            Label speakers
+      --speakers <n>       Number of speakers, when known
+      --start <time>       Only transcribe from this time on (seconds, m:ss or h:mm:ss)
+      --end <time>         Only transcribe up to this time; timestamps stay relative to the whole file
+      --prompt <text>      Text about the recording, written the way the transcript should read
+      --glossary <terms>   Comma-separated names and jargon for Whisper to spell as written
+      --rules <file>       JSON cleanup rules for the exports: an array of rules, or { glossary, rules }
+      --no-resegment       Keep Whisper's segments instead of applying subtitle rules
+      --quality <q>        Resampler quality: low, medium or high (default: medium)
+      --model-path <dir>   Load models from this directory instead of the Hugging Face hub
+      --runtime <module>   transformers.js module to use (default: @xenova/transformers from node_modules)
+      --ffmpeg <path>      ffmpeg binary (default: $FFMPEG_PATH or ffmpeg on the PATH)
+  -h, --help               Show this help`;
+
+// Sets up a Web Worker-like global scope in a worker thread, then runs the worker script in it
+const WORKER_BOOTSTRAP = `
+const { parentPort, workerData } = require('worker_threads');
+const { pathToFileURL } = require('url');
+globalThis.self = globalThis;
+self.location = new URL(pathToFileURL(workerData.script).href);
+self.postMessage = (data, transfer) => parentPort.postMessage(data, transfer);
+parentPort.on('message', (data) => self.onmessage({ data }));
+require(workerData.script);
+`;
+
+/**
+ * Web Worker interface (onmessage, onerror, postMessage, terminate) over a worker_threads Worker
+ */
+class NodeWorker {
+    constructor(script) {
+        this.onmessage = null;
+        this.onerror = null;
+        this.thread = new Worker(WORKER_BOOTSTRAP, { eval: true, workerData: { script } });
+
+        this.thread.on('message', (data) => {
+            if (this.onmessage) this.onmessage({ data });
+        });
+        this.thread.on('error', (error) => {
+            if (this.onerror) this.onerror({ message: error.message, preventDefault() { } });
+        });
+    }
+
+    postMessage(data, transfer = []) {
+        this.thread.postMessage(data, transfer);
+    }
+
+    terminate() {
+        this.thread.terminate();
+    }
+}
+
+/**
+ * Transcriber for Node: files are paths, the worker is a worker thread and ffmpeg does the decoding
+ */
+class NodeTranscriber extends Transcriber {
+    constructor(options = {}) {
+        super({
+            workerUrl: path.join(__dirname, 'whisper-worker.js'),
+            runtimeUrl: NodeTranscriber.findRuntime(),
+            ...options
+        });
+        this.ffmpeg = options.ffmpeg || process.env.FFMPEG_PATH || 'ffmpeg';
+    }
+
+    /**
+     * File URL of @xenova/transformers in node_modules (next to the input or to this script), or null
+     */
+    static findRuntime() {
+        try {
+            return pathToFileURL(require.resolve('@xenova/transformers', { paths: [process.cwd(), __dirname] })).href;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isSupported() {
+        return true;
+    }
+
+    createWorker() {
+        if (!this.options.runtimeUrl) {
+            throw new Error('transformers.js is not installed. Run "npm install @xenova/transformers" or pass --runtime.');
+        }
+        return new NodeWorker(this.options.workerUrl);
+    }
+
+    /**
+     * Open a file as a 16kHz stream: WAV through the page's own demuxer, everything else through ffmpeg
+     * Audio sources (see Transcriber.createArraySource()) are read as they are
+     */
+    async openAudio(file) {
+        if (Transcriber.isAudioSource(file)) return super.openAudio(file);
+
+        const quality = this.options.resampleQuality === 'browser' ? 'medium' : this.options.resampleQuality;
+        let blob;
+        try {
+            blob = await fs.openAsBlob(file);
+        } catch (error) {
+            throw new Error(fs.existsSync(file) ? `Cannot read ${file}: ${error.message}` : `File not found: ${file}`);
+        }
+
+        let source = null;
+        try {
+            source = await Transcriber.openMediaSource(blob);
+        } catch (error) {
+            console.warn(`Reading ${file} directly failed, decoding with ffmpeg instead:`, error.message);
+        }
+        return Transcriber.createAudioStream(source || NodeTranscriber.openFFmpegSource(file, this.ffmpeg), quality);
+    }
+
+    /**
+     * Decode a file with ffmpeg into mono 32-bit float WAV on a pipe, and read it a block at a time
+     * The sample rate is left alone so resampling is done by Transcriber.createResampler() as in the browser
+     */
+    static openFFmpegSource(file, ffmpeg) {
+        const child = spawn(ffmpeg, [
+            '-hide_banner', '-nostdin', '-i', file,
+            '-vn', '-ac', '1', '-c:a', 'pcm_f32le', '-f', 'wav', 'pipe:1'
+        ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+        let log = '';
+        let duration = null;
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', (text) => {
+            log = (log + text).slice(-4096);
+            const match = duration === null && /Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/.exec(log);
+            if (match) duration = Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+        });
+
+        const exited = new Promise((resolve) => {
+            child.on('error', (error) => resolve({ error }));
+            child.on('close', (code) => resolve({ code }));
+        });
+        const chunks = child.stdout[Symbol.asyncIterator]();
+
+        let pending = Buffer.alloc(0);
+        let sampleRate = null;
+        let samplesRead = 0;
+
+        const fail = async () => {
+            const { error, code } = await exited;
+            if (error && error.code === 'ENOENT') {
+                throw new Error(`ffmpeg not found at "${ffmpeg}". Install ffmpeg, or pass --ffmpeg or set FFMPEG_PATH.`);
+            }
+            if (error) throw new Error(`Could not run ffmpeg: ${error.message}`);
+            if (code !== 0) {
+                const lines = log.trim().split('\n');
+                throw new Error(`ffmpeg could not decode ${file}: ${lines[lines.length - 1]}`);
+            }
+        };
+
+        return {
+            get duration() {
+                return duration;
+            },
+            progress: () => duration ? Math.min(samplesRead / (duration * (sampleRate || 1)), 1) : 0,
+            async next() {
+                for (;;) {
+                    const { value, done } = await chunks.next();
+                    if (done) {
+                        await fail();
+                        if (sampleRate === null) throw new Error(`ffmpeg produced no audio for ${file}`);
+                        return null;
+                    }
+                    pending = pending.length ? Buffer.concat([pending, value]) : value;
+
+                    if (sampleRate === null) {
+                        const header = NodeTranscriber.parseWavHeader(pending);
+                        if (!header) continue;
+                        sampleRate = header.sampleRate;
+                        pending = pending.subarray(header.dataOffset);
+                    }
+
+                    const usable = pending.length - pending.length % 4;
+                    if (!usable) continue;
+                    // Copy into a fresh, aligned buffer; the pipe's chunks can start at any byte
+                    const samples = new Float32Array(usable / 4);
+                    new Uint8Array(samples.buffer).set(pending.subarray(0, usable));
+                    pending = pending.subarray(usable);
+                    samplesRead += samples.length;
+                    return { samples, sampleRate };
+                }
+            },
+            close() {
+                // Closing the pipe first: ffmpeg blocked writing to it would not get to handle the signal
+                child.stdout.destroy();
+                if (child.exitCode === null) child.kill();
+            }
+        };
+    }
+
+    /**
+     * Sample rate and start of the samples in a streamed WAV header, or null until enough has arrived
+     * The data chunk's size is ignored: ffmpeg cannot go back and fill it in on a pipe.
+     */
+    static parseWavHeader(bytes) {
+        if (bytes.length < 12) return null;
+        if (bytes.toString('latin1', 0, 4) !== 'RIFF' || bytes.toString('latin1', 8, 12) !== 'WAVE') {
+            throw new Error('ffmpeg did not produce WAV output');
+        }
+
+        let offset = 12;
+        let sampleRate = null;
+        while (offset + 8 <= bytes.length) {
+            const id = bytes.toString('latin1', offset, offset + 4);
+            const size = bytes.readUInt32LE(offset + 4);
+            if (id === 'data') return sampleRate ? { sampleRate, dataOffset: offset + 8 } : null;
+            if (offset + 8 + size > bytes.length) return null;
+            if (id === 'fmt ') sampleRate = bytes.readUInt32LE(offset + 12);
+            offset += 8 + size + (size & 1);
+        }
+        return null;
+    }
+}
+
+/**
+ * Expand glob patterns (*, ?, [...] and ** for any depth) into matching files; other arguments pass through
+ */
+function expandInputs(patterns) {
+    const files = [];
+    for (const pattern of patterns) {
+        if (!/[*?[]/.test(pattern)) {
+            files.push(pattern);
+            continue;
+        }
+
+        const parts = pattern.split(/[\\/]+/);
+        const root = path.isAbsolute(pattern) ? parts.shift() + path.sep : '.';
+        const matches = [];
+        walkGlob(root, parts, matches);
+        if (!matches.length) throw new Error(`No files match ${pattern}`);
+        files.push(...matches.sort());
+    }
+    return [...new Set(files)];
+}
+
+/**
+ * Fail before the model loads when an input is missing or unreadable
+ */
+function checkInputs(files) {
+    for (const file of files) {
+        try {
+            fs.accessSync(file, fs.constants.R_OK);
+        } catch (error) {
+            throw new Error(fs.existsSync(file) ? `Cannot read ${file}: ${error.message}` : `File not found: ${file}`);
+        }
+        if (!fs.statSync(file).isFile()) throw new Error(`${file} is not a file`);
+    }
+    return files;
+}
+
+function walkGlob(dir, parts, matches) {
+    if (!parts.length) return;
+    const [part, ...rest] = parts;
+
+    if (part === '**') {
+        walkGlob(dir, rest, matches);
+        for (const entry of readDir(dir)) {
+            if (entry.isDirectory() && !entry.name.startsWith('.')) walkGlob(path.join(dir, entry.name), parts, matches);
+        }
+        return;
+    }
+    if (!/[*?[]/.test(part)) {
+        const next = path.join(dir, part);
+        if (!rest.length) {
+            if (fs.existsSync(next) && fs.statSync(next).isFile()) matches.push(next);
+        } else {
+            walkGlob(next, rest, matches);
+        }
+        return;
+    }
+
+    const regex = globToRegExp(part);
+    for (const entry of readDir(dir)) {
+        if (!regex.test(entry.name) || (entry.name.startsWith('.') && !part.startsWith('.'))) continue;
+        const next = path.join(dir, entry.name);
+        if (!rest.length) {
+            if (entry.isFile()) matches.push(next);
+        } else if (entry.isDirectory()) {
+            walkGlob(next, rest, matches);
+        }
+    }
+}
+
+function readDir(dir) {
+    try {
+        return fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+        return [];
+    }
+}
+
+function globToRegExp(part) {
+    let source = '';
+    for (let i = 0; i < part.length; i++) {
+        const c = part[i];
+        if (c === '*') source += '[^/]*';
+        else if (c === '?') source += '[^/]';
+        else if (c === '[') {
+            const close = part.indexOf(']', i + 1);
+            if (close < 0) {
+                source += '\\[';
+                continue;
+            }
+            source += '[' + part.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+            i = close;
+        } else source += c.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Work out where each input's exports go: [{ input, outputs: [{ format, file }] }]
+ * In an output directory, inputs keep their folders below the deepest one they share, so files with the same
+ * name in different folders stay apart. Names that would still clash are numbered, as in TranscriptionQueue.toZip().
+ */
+function planOutputs(inputs, formats, output) {
+    const exporters = new Map(Transcriber.getExporters().map(e => [e.format, e]));
+    const toDirectory = output && (/[\\/]$/.test(output) || (fs.existsSync(output) && fs.statSync(output).isDirectory()));
+    if (output && !toDirectory && (inputs.length > 1 || formats.length > 1)) {
+        const what = inputs.length > 1 ? `${inputs.length} inputs` : `${formats.length} formats`;
+        throw usageError(`-o ${output} names one file, but ${what} need a directory (a path ending in /).`);
+    }
+
+    const root = toDirectory ? commonDirectory(inputs) : null;
+    const taken = new Set();
+    return inputs.map(input => {
+        const base = path.basename(input).replace(/\.[^.]+$/, '') || 'transcript';
+        const dir = toDirectory ? path.join(output, path.relative(root, path.dirname(path.resolve(input)))) : path.dirname(input);
+        return {
+            input,
+            outputs: formats.map(format => {
+                if (output && !toDirectory) return { format, file: output };
+
+                // Two formats sharing an extension (vtt and vtt-karaoke) keep the format in the name
+                const extension = exporters.get(format).extension;
+                const name = formats.some(f => f !== format && exporters.get(f).extension === extension) ? `${base}.${format}` : base;
+                let file = path.join(dir, `${name}.${extension}`);
+                for (let n = 2; taken.has(file.toLowerCase()); n++) file = path.join(dir, `${name} (${n}).${extension}`);
+                taken.add(file.toLowerCase());
+                return { format, file };
+            })
+        };
+    });
+}
+
+/**
+ * Deepest directory that holds all of the files
+ */
+function commonDirectory(files) {
+    const dirs = files.map(file => path.dirname(path.resolve(file)).split(path.sep));
+    let depth = 0;
+    while (dirs.every(parts => depth < parts.length && parts[depth] === dirs[0][depth])) depth++;
+    return dirs[0].slice(0, depth).join(path.sep) || path.sep;
+}
+
+/**
+ * Parse arguments into transcriber settings; throws a usage error (exit code 2) for bad input
+ */
+function parseOptions(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            output: { type: 'string', short: 'o' },
+            format: { type: 'string', short: 'f' },
+            model: { type: 'string', short: 'm' },
+            language: { type: 'string', short: 'l' },
+            translate: { type: 'boolean' },
+            'word-timestamps': { type: 'boolean' },
+            'no-vad': { type: 'boolean' },
+            diarize: { type: 'boolean' },
+            speakers: { type: 'string' },
+            start: { type: 'string' },
+            end: { type: 'string' },
+            prompt: { type: 'string' },
+            glossary: { type: 'string' },
+            rules: { type: 'string' },
+            'no-resegment': { type: 'boolean' },
+            quality: { type: 'string' },
+            'model-path': { type: 'string' },
+            runtime: { type: 'string' },
+            ffmpeg: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help) return { help: true };
+    if (!positionals.length) throw usageError('No input files given.');
+
+    const formatList = values.format || (values.output && !/[\\/]$/.test(values.output) && path.extname(values.output).slice(1)) || 'srt';
+    const formats = formatList.split(',').map(f => f.trim().toLowerCase()).filter(Boolean);
+    const known = Transcriber.getExporters().map(e => e.format);
+    const unknown = formats.filter(f => !known.includes(f));
+    if (unknown.length) throw usageError(`Unknown format "${unknown[0]}". Available formats: ${known.join(', ')}`);
+
+    if (values.quality && !['low', 'medium', 'high'].includes(values.quality)) {
+        throw usageError(`Unknown quality "${values.quality}". Use low, medium or high.`);
+    }
+    const speakers = values.speakers !== undefined ? Number(values.speakers) : undefined;
+    if (speakers !== undefined && !(Number.isInteger(speakers) && speakers > 0)) {
+        throw usageError('--speakers needs a whole number above 0.');
+    }
+    const start = values.start !== undefined ? parseTime(values.start, '--start') : undefined;
+    const end = values.end !== undefined ? parseTime(values.end, '--end') : undefined;
+    if (end !== undefined && !(end > (start || 0))) throw usageError('--end must come after --start.');
+    const ruleSet = values.rules ? readRuleSet(values.rules) : { glossary: [], rules: [] };
+
+    const transcriberOptions = {
+        model: values.model,
+        language: values.language,
+        task: values.translate ? 'translate' : 'transcribe',
+        wordTimestamps: Boolean(values['word-timestamps']),
+        vad: !values['no-vad'],
+        diarize: Boolean(values.diarize) || speakers !== undefined,
+        resampleQuality: values.quality,
+        prompt: values.prompt,
+        glossary: [...ruleSet.glossary, ...Transcriber.parseGlossary(values.glossary)],
+        ffmpeg: values.ffmpeg
+    };
+    if (values.runtime) {
+        transcriberOptions.runtimeUrl = /^[a-z]+:/i.test(values.runtime)
+            ? values.runtime
+            : pathToFileURL(require.resolve(values.runtime, { paths: [process.cwd()] })).href;
+    }
+    if (values['model-path']) transcriberOptions.modelPath = path.resolve(values['model-path']) + path.sep;
+
+    return {
+        patterns: positionals,
+        output: values.output,
+        formats,
+        speakers,
+        start,
+        end,
+        resegment: !values['no-resegment'],
+        rules: ruleSet.rules,
+        transcriberOptions
+    };
+}
+
+/**
+ * Load a rule set file: an array of Transcriber.applyRules() rules, or { glossary, rules } as the page saves them
+ */
+function readRuleSet(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw usageError(`--rules: cannot read ${file}: ${error.message}`);
+    }
+    const ruleSet = Array.isArray(data) ? { rules: data } : data;
+    const rules = ruleSet.rules || [];
+    try {
+        rules.forEach(rule => Transcriber.compileRule(rule));
+    } catch (error) {
+        throw usageError(`--rules: ${error.message}`);
+    }
+    return { glossary: Transcriber.parseGlossary(ruleSet.glossary), rules };
+}
+
+/**
+ * "90", "1:30" or "1:01:30.5" to seconds
+ */
+function parseTime(value, option) {
+    const match = /^(?:(?:(\d+):)?(\d+):)?(\d+(?:\.\d+)?)$/.exec(value.trim());
+    if (!match) throw usageError(`${option} needs a time in seconds, m:ss or h:mm:ss, not "${value}".`);
+    return Number(match[1] || 0) * 3600 + Number(match[2] || 0) * 60 + Number(match[3]);
+}
+
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+/**
+ * Progress on one line of stderr while it is a terminal, otherwise only the start of each file
+ */
+function progressReporter(label) {
+    let last = '';
+    return (progress) => {
+        if (!process.stderr.isTTY) return;
+        const line = `${label}: ${progress.message || progress.status}`;
+        if (line === last) return;
+        last = line;
+        process.stderr.write(`\r\x1b[K${line}`);
+    };
+}
+
+async function main(argv = process.argv.slice(2)) {
+    let settings;
+    let jobs;
+    try {
+        settings = parseOptions(argv);
+        if (settings.help) {
+            console.log(USAGE);
+            return 0;
+        }
+        jobs = planOutputs(checkInputs(expandInputs(settings.patterns)), settings.formats, settings.output);
+    } catch (error) {
+        console.error(`transcriptify: ${error.message}`);
+        if (error.usage || /^ERR_PARSE_ARGS/.test(error.code || '')) console.error('Run "transcriptify --help" for usage.');
+        return 2;
+    }
+
+    const transcriber = new NodeTranscriber(settings.transcriberOptions);
+    if (!transcriber.options.runtimeUrl) {
+        console.error('transcriptify: transformers.js is not installed. Run "npm install @xenova/transformers" or pass --runtime.');
+        return 1;
+    }
+    let failed = 0;
+
+    try {
+        for (const [i, { input, outputs }] of jobs.entries()) {
+            const label = jobs.length > 1 ? `[${i + 1}/${jobs.length}] ${input}` : input;
+            process.stderr.write(process.stderr.isTTY ? `${label}: starting` : `${label}\n`);
+
+            try {
+                const result = await transcriber.transcribe(input, {
+                    speakers: settings.speakers,
+                    start: settings.start,
+                    end: settings.end,
+                    onProgress: progressReporter(label)
+                });
+                for (const { format, file } of outputs) {
+                    const content = Transcriber.export(format, result, {
+                        resegment: settings.resegment,
+                        rules: settings.rules,
+                        title: path.basename(input).replace(/\.[^.]+$/, ''),
+                        source: path.basename(input),
+                        // The HTML transcript plays the input from wherever the page is written
+                        media: path.relative(path.dirname(file), input).split(path.sep).join('/')
+                    });
+                    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                    await fs.promises.writeFile(file, content);
+                }
+                if (process.stderr.isTTY) process.stderr.write('\r\x1b[K');
+                process.stderr.write(`${label} -> ${outputs.map(o => o.file).join(', ')}\n`);
+            } catch (error) {
+                failed++;
+                if (process.stderr.isTTY) process.stderr.write('\r\x1b[K');
+                console.error(`transcriptify: ${input}: ${error.message}`);
+            }
+        }
+    } finally {
+        transcriber.terminateWorker(new Error('Closed'));
+    }
+
+    if (failed) console.error(`transcriptify: ${failed} of ${jobs.length} file${jobs.length === 1 ? '' : 's'} failed`);
+    return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+    main().then((code) => { process.exitCode = code; });
+}
+
+module.exports = { NodeTranscriber, NodeWorker, main };
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+/**
+ * Run the command in this folder, returning { status, stdout, stderr }
+ */
+function run(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { cwd: __dirname, encoding: 'utf8', timeout: 30000 });
+}
+
+test('a missing input is reported with exit code 2 before any model loads', () => {
+    const { status, stdout, stderr } = run('missing.wav', 'transcribe.test.js');
+
+    assert.strictEqual(status, 2);
+    assert.strictEqual(stdout, '');
+    assert.strictEqual(stderr.trim(), 'transcriptify: File not found: missing.wav');
+});
+
+test('a folder given as an input is rejected', () => {
+    const { status, stderr } = run('.');
+
+    assert.strictEqual(status, 2);
+    assert.match(stderr, /^transcriptify: \. is not a file$/m);
+});
@@ -0,0 +1,150 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Transcriber } = require('../transcribe.js');
+
+// Two speakers, word timing on the first segment, and text that needs escaping in markup formats
+const RESULT = {
+    text: 'Welcome to the show. Fish & chips < "5" pounds. Goodbye.',
+    segments: [
+        {
+            text: 'Welcome to the show.', startTime: 0, endTime: 2.5, confidence: 0.95, speaker: 'Host',
+            words: [
+                { word: 'Welcome', start: 0, end: 0.5 },
+                { word: 'to', start: 0.5, end: 0.75 },
+                { word: 'the', start: 0.75, end: 1 },
+                { word: 'show.', start: 1.25, end: 2.5 }
+            ]
+        },
+        { text: 'Fish & chips < "5" pounds.', startTime: 3, endTime: 5.25, confidence: 0.4, speaker: 'Guest' },
+        { text: 'Goodbye.', startTime: 61.2, endTime: 62, confidence: 0.9, speaker: 'Host' }
+    ],
+    duration: 63,
+    language: 'en',
+    task: 'transcribe',
+    model: 'Xenova/whisper-tiny.en'
+};
+
+const OPTIONS = { title: 'Episode 1', source: 'ep1.mp4' };
+
+// What each format must contain; a newly registered format fails the first test until it is added here
+const EXPECTED = {
+    txt: (output) => {
+        assert.strictEqual(output, '[Host] Welcome to the show.\n[Guest] Fish & chips < "5" pounds.\n[Host] Goodbye.\n');
+    },
+    srt: (output) => {
+        assert.strictEqual(output.split('\n\n')[1], '2\n00:00:03,000 --> 00:00:05,250\n[Guest] Fish & chips < "5" pounds.');
+        assert.match(output, /^3\n00:01:01,200 --> 00:01:02,000\n\[Host\] Goodbye\.$/m);
+    },
+    vtt: (output) => {
+        assert.match(output, /^WEBVTT\n/);
+        assert.match(output, /00:00:03\.000 --> 00:00:05\.250\n<v Guest>Fish &amp; chips &lt; "5" pounds\.\n/);
+    },
+    'vtt-karaoke': (output) => {
+        assert.match(output, /^WEBVTT\n/);
+        assert.match(output, /<v Host>Welcome <00:00:00\.500>to <00:00:00\.750>the <00:00:01\.250>show\.\n/);
+        // Segments without word timing are written as plain cues
+        assert.match(output, /<v Guest>Fish &amp; chips &lt; "5" pounds\.\n/);
+    },
+    ass: (output) => {
+        assert.match(output, /^\[Script Info\]\nTitle: Episode 1\nScriptType: v4\.00\+/);
+        assert.match(output, /^Dialogue: 0,0:00:00\.00,0:00:02\.50,Default,Host,0,0,0,,\{\\k50\}Welcome \{\\k25\}to \{\\k50\}the \{\\k125\}show\.$/m);
+        assert.match(output, /^Dialogue: 0,0:01:01\.20,0:01:02\.00,Default,Host,0,0,0,,Goodbye\.$/m);
+    },
+    ssa: (output) => {
+        assert.match(output, /^ScriptType: v4\.00$/m);
+        assert.match(output, /^Dialogue: Marked=0,0:00:03\.00,0:00:05\.25,Default,Guest,0000,0000,0000,,Fish & chips < "5" pounds\.$/m);
+    },
+    ttml: (output) => {
+        assert.match(output, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<tt xmlns="http:\/\/www\.w3\.org\/ns\/ttml"/);
+        assert.match(output, /<p begin="00:00:03\.000" end="00:00:05\.250">Fish &amp; chips &lt; &quot;5&quot; pounds\.<\/p>/);
+        assert.strictEqual(output.match(/<p /g).length, 3);
+    },
+    dfxp: (output) => {
+        assert.match(output, /<p begin="00:01:01\.200" end="00:01:02\.000">Goodbye\.<\/p>/);
+        assert.strictEqual(output.match(/<p /g).length, 3);
+    },
+    sbv: (output) => {
+        assert.strictEqual(output.split('\n\n')[2].trim(), '0:01:01.200,0:01:02.000\n[Host] Goodbye.');
+    },
+    json: (output) => {
+        const data = JSON.parse(output);
+        assert.strictEqual(data.source, 'ep1.mp4');
+        assert.strictEqual(data.language, 'en');
+        assert.deepStrictEqual(data.segments, RESULT.segments);
+    },
+    csv: (output) => {
+        assert.deepStrictEqual(output.trim().split('\r\n'), [
+            'start,end,text,confidence,speaker',
+            '0.000,2.500,"Welcome to the show.",0.950,"Host"',
+            '3.000,5.250,"Fish & chips < ""5"" pounds.",0.400,"Guest"',
+            '61.200,62.000,"Goodbye.",0.900,"Host"'
+        ]);
+    },
+    md: (output) => {
+        assert.match(output, /^# Episode 1\n/);
+        assert.match(output, /^\*\*\[01:01\]\*\* \*\*Host:\*\* Goodbye\.$/m);
+    },
+    html: (output) => {
+        assert.match(output, /^<!DOCTYPE html>/);
+        assert.match(output, /<title>Episode 1<\/title>/);
+        assert.match(output, /<video id="media" src="ep1\.mp4"/);
+        assert.match(output, /<p id="s2" data-start="3\.00" data-end="5\.25">.*<b class="speaker">Guest:<\/b> <span class="text">Fish &amp; chips &lt; &quot;5&quot; pounds\.<\/span><\/p>/);
+    },
+    chapters: (output) => {
+        // YouTube needs the first chapter at 0:00
+        assert.match(output, /^0:00 \S/);
+    },
+    'vtt-chapters': (output) => {
+        assert.match(output, /^WEBVTT\n\n1\n00:00:00\.000 --> 00:01:02\.000\n\S/);
+    }
+};
+
+test('every registered format has an expectation here', () => {
+    assert.deepStrictEqual(Transcriber.getExporters().map(e => e.format).sort(), Object.keys(EXPECTED).sort());
+});
+
+for (const { format } of Transcriber.getExporters()) {
+    test(`exports ${format}`, () => {
+        const output = Transcriber.export(format, RESULT, OPTIONS);
+        assert.strictEqual(typeof output, 'string');
+        if (EXPECTED[format]) EXPECTED[format](output);
+    });
+}
+
+test('SRT and WebVTT read back the text, timing and speakers they wrote', () => {
+    for (const [format, parse] of [['srt', Transcriber.fromSRT], ['vtt', Transcriber.fromVTT]]) {
+        const segments = parse(Transcriber.export(format, RESULT));
+        assert.deepStrictEqual(
+            segments.map(s => [s.text, s.startTime, s.endTime, s.speaker]),
+            RESULT.segments.map(s => [s.text, s.startTime, s.endTime, s.speaker]),
+            format
+        );
+        // Nothing scored the imported cues
+        assert.ok(segments.every(s => s.confidence === undefined), format);
+    }
+});
+
+test('karaoke WebVTT reads back its word timing', () => {
+    const [segment] = Transcriber.fromVTT(Transcriber.export('vtt-karaoke', RESULT));
+    assert.deepStrictEqual(segment.words.map(w => [w.word, w.start]), RESULT.segments[0].words.map(w => [w.word, w.start]));
+});
+
+test('rules clean up the export without changing the result', () => {
+    const rules = [{ type: 'replace', find: 'chips', replace: 'fries' }];
+    assert.match(Transcriber.export('txt', RESULT, { rules }), /Fish & fries/);
+    assert.strictEqual(RESULT.segments[1].text, 'Fish & chips < "5" pounds.');
+});
+
+test('resegment re-cuts subtitle formats only', () => {
+    const long = {
+        text: '',
+        segments: [{ text: 'This sentence is far too long to fit on a single subtitle line. So is this one, which follows it.', startTime: 0, endTime: 8 }]
+    };
+    const srt = Transcriber.export('srt', long, { resegment: true });
+    assert.strictEqual(srt.match(/-->/g).length, 2);
+    assert.strictEqual(Transcriber.export('csv', long, { resegment: true }).trim().split('\n').length, 2);
+});
+
+test('unknown formats are rejected with the available ones listed', () => {
+    assert.throws(() => Transcriber.export('docx', RESULT), /Unknown export format "docx"\. Available formats: txt, srt/);
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Transcriber } = require('../transcribe.js');
+
+const QUALITIES = ['low', 'medium', 'high'];
+
+function sine(frequency, sampleRate, seconds, amplitude = 0.5) {
+    return Float32Array.from({ length: Math.round(sampleRate * seconds) }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+}
+
+/**
+ * Level of a signal relative to a full sine of the given amplitude, in dB
+ * The first and last 50ms are left out: the filter rings in and out there
+ */
+function level(samples, sampleRate, amplitude = 0.5) {
+    const edge = Math.round(sampleRate * 0.05);
+    const middle = samples.subarray(edge, samples.length - edge);
+    const rms = Math.sqrt(middle.reduce((sum, x) => sum + x * x, 0) / middle.length);
+    return 20 * Math.log10(rms / (amplitude / Math.SQRT2));
+}
+
+/**
+ * Amplitude of one frequency in a signal (Goertzel), so a tone can be told from its alias
+ */
+function amplitudeAt(samples, sampleRate, frequency) {
+    const w = 2 * Math.PI * frequency / sampleRate;
+    let re = 0;
+    let im = 0;
+    samples.forEach((x, i) => {
+        re += x * Math.cos(w * i);
+        im -= x * Math.sin(w * i);
+    });
+    return 2 * Math.hypot(re, im) / samples.length;
+}
+
+for (const quality of QUALITIES) {
+    test(`${quality} quality rejects a tone above the 16kHz Nyquist frequency`, () => {
+        // Without a low-pass filter 12kHz at 44.1kHz folds down to 4kHz, in the middle of the speech band
+        const output = Transcriber.resample(sine(12000, 44100, 1), 44100, 16000, { quality });
+        assert.ok(level(output, 16000) < -60, `12kHz came through at ${level(output, 16000).toFixed(1)} dB`);
+        assert.ok(amplitudeAt(output, 16000, 4000) < 0.001);
+    });
+
+    test(`${quality} quality keeps an in-band tone`, () => {
+        const output = Transcriber.resample(sine(1000, 44100, 1), 44100, 16000, { quality });
+        assert.ok(Math.abs(level(output, 16000)) < 0.1, `1kHz came out at ${level(output, 16000).toFixed(2)} dB`);
+        assert.ok(Math.abs(amplitudeAt(output, 16000, 1000) - 0.5) < 0.01);
+    });
+}
+
+test('higher qualities keep more of the band below the cutoff', () => {
+    const levels = QUALITIES.map(quality => level(Transcriber.resample(sine(7000, 44100, 1), 44100, 16000, { quality }), 16000));
+    assert.ok(levels[0] < levels[1] && levels[1] < levels[2], levels.join(', '));
+    assert.ok(levels[2] > -0.5);
+});
+
+test('output length is the input length at the new rate', () => {
+    for (const sourceRate of [48000, 44100, 22050, 8000]) {
+        for (const length of [0, 1, 99, sourceRate, sourceRate * 3 + 7]) {
+            const output = Transcriber.resample(new Float32Array(length), sourceRate, 16000);
+            assert.strictEqual(output.length, Math.round(length * 16000 / sourceRate), `${length} samples at ${sourceRate}Hz`);
+        }
+    }
+});
+
+test('streaming in uneven blocks gives the same output as resampling the whole buffer', () => {
+    for (const sourceRate of [48000, 44100, 22050, 8000]) {
+        const input = Float32Array.from({ length: sourceRate * 2 + 13 }, (_, i) => Math.sin(i * 0.37) * Math.cos(i * 0.011));
+        const whole = Transcriber.resample(input, sourceRate, 16000, { quality: 'high' });
+
+        const resampler = Transcriber.createResampler(sourceRate, 16000, { quality: 'high' });
+        const blocks = [];
+        const sizes = [1, 7, 480, 4096, 3, 12345];
+        for (let position = 0, i = 0; position < input.length; i++) {
+            const size = sizes[i % sizes.length];
+            blocks.push(resampler.process(input.subarray(position, position + size)));
+            position += size;
+        }
+        blocks.push(resampler.flush());
+
+        const streamed = new Float32Array(blocks.reduce((length, block) => length + block.length, 0));
+        let offset = 0;
+        for (const block of blocks) {
+            streamed.set(block, offset);
+            offset += block.length;
+        }
+        assert.deepStrictEqual(streamed, whole, `${sourceRate}Hz`);
+    }
+});
+
+test('the same rate passes samples through unchanged', () => {
+    const input = sine(440, 16000, 0.1);
+    assert.deepStrictEqual(Transcriber.resample(input, 16000, 16000), input);
+});
+
+test('an unknown quality is rejected', () => {
+    assert.throws(() => Transcriber.createResampler(44100, 16000, { quality: 'best' }), /Unknown resampler quality "best"/);
+});
@@ -0,0 +1,186 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Transcriber, MockEngine } = require('../transcribe.js');
+
+// Three lines over two 30s windows; the second is cut off by the first window and finished by the next
+const SCRIPT = [
+    { start: 1, end: 4, text: 'Hello there.' },
+    { start: 28, end: 33, text: 'This one crosses a window.' },
+    { start: 38, end: 41, text: 'Goodbye.' }
+];
+
+/**
+ * Names of the events a transcriber emits, in order
+ */
+function recordEvents(transcriber) {
+    const events = [];
+    for (const name of ['start', 'loading', 'language', 'progress', 'result', 'end', 'cancel', 'error']) {
+        transcriber.on(name, () => events.push(name));
+    }
+    return events;
+}
+
+test('transcribe() emits start, loading, progress, result and end in order', async () => {
+    const transcriber = new Transcriber({ engine: new MockEngine(SCRIPT) });
+    const events = recordEvents(transcriber);
+
+    const result = await transcriber.transcribe(Transcriber.createSignalSource({ duration: 45 }));
+
+    assert.deepStrictEqual(events, ['start', 'loading', 'loading', 'progress', 'result', 'progress', 'result', 'end']);
+    assert.deepStrictEqual(result.segments.map(s => [s.text, s.startTime, s.endTime]), [
+        ['Hello there.', 1, 4],
+        ['This one crosses a window.', 28, 33],
+        ['Goodbye.', 38, 41]
+    ]);
+    assert.strictEqual(result.text, 'Hello there. This one crosses a window. Goodbye.');
+    assert.strictEqual(result.duration, 45);
+    assert.strictEqual(transcriber.isTranscribing, false);
+});
+
+test('result events carry the segments finished in each window', async () => {
+    const transcriber = new Transcriber({ engine: new MockEngine(SCRIPT) });
+    const batches = [];
+    transcriber.on('result', ({ segments, isFinal }) => batches.push({ texts: segments.map(s => s.text), isFinal }));
+
+    await transcriber.transcribe(Transcriber.createSignalSource({ duration: 45 }));
+
+    // The cut-off line waits for the window that finishes it
+    assert.deepStrictEqual(batches, [
+        { texts: ['Hello there.'], isFinal: true },
+        { texts: ['This one crosses a window.', 'Goodbye.'], isFinal: true }
+    ]);
+});
+
+test('an engine failure rejects and emits error instead of end', async () => {
+    const transcriber = new Transcriber({ engine: new MockEngine(SCRIPT, { errors: { transcribe: 'Out of memory' } }) });
+    const events = recordEvents(transcriber);
+
+    await assert.rejects(transcriber.transcribe(Transcriber.createSignalSource({ duration: 45 })), /Out of memory/);
+    assert.strictEqual(events[events.length - 1], 'error');
+    assert.ok(!events.includes('end'));
+});
+
+test('cancel() stops a run, and the next run starts over with the model reloaded', async () => {
+    const engine = new MockEngine(SCRIPT, { delay: 5 });
+    const transcriber = new Transcriber({ engine });
+    const events = recordEvents(transcriber);
+
+    // Cancel while the second window is with the engine
+    const cancelOnce = () => {
+        transcriber.off('result', cancelOnce);
+        setTimeout(() => transcriber.cancel(), 1);
+    };
+    transcriber.on('result', cancelOnce);
+
+    await assert.rejects(transcriber.transcribe(Transcriber.createSignalSource({ duration: 45 })), /Cancelled/);
+    assert.strictEqual(events[events.length - 1], 'cancel');
+    assert.ok(!events.includes('end'));
+    assert.strictEqual(transcriber.isTranscribing, false);
+    assert.strictEqual(transcriber.modelLoaded, false);
+    assert.strictEqual(engine.pending.size, 0);
+
+    events.length = 0;
+    engine.calls.length = 0;
+    const result = await transcriber.transcribe(Transcriber.createSignalSource({ duration: 45 }));
+
+    assert.deepStrictEqual(result.segments.map(s => s.text), SCRIPT.map(line => line.text));
+    assert.deepStrictEqual(engine.calls.map(c => c.type), ['load', 'transcribe', 'transcribe']);
+    assert.strictEqual(events[0], 'start');
+    assert.strictEqual(events[events.length - 1], 'end');
+});
+
+test('ranges are transcribed back to back and mapped onto the full timeline', async () => {
+    // Script times are on the audio the engine hears: 10-20s, then 40-50s
+    const engine = new MockEngine([
+        { start: 2, end: 4, text: 'First range.' },
+        { start: 12, end: 14, text: 'Second range.' }
+    ]);
+    const transcriber = new Transcriber({ engine });
+
+    const result = await transcriber.transcribe(Transcriber.createSignalSource({ duration: 60 }), {
+        ranges: [{ start: 40, end: 50 }, { start: 10, end: 20 }]
+    });
+
+    assert.deepStrictEqual(result.segments.map(s => [s.text, s.startTime, s.endTime]), [
+        ['First range.', 12, 14],
+        ['Second range.', 42, 44]
+    ]);
+    assert.deepStrictEqual(result.ranges, [{ start: 10, end: 20 }, { start: 40, end: 50 }]);
+    assert.deepStrictEqual(engine.calls.filter(c => c.type === 'transcribe').map(c => c.duration), [20]);
+});
+
+test('start and end select a single range', async () => {
+    const engine = new MockEngine([{ start: 1, end: 3, text: 'From the middle.' }]);
+    const transcriber = new Transcriber({ engine });
+
+    const result = await transcriber.transcribe(Transcriber.createSignalSource({ duration: 60 }), { start: 30, end: 35 });
+
+    assert.deepStrictEqual(result.segments.map(s => [s.startTime, s.endTime]), [[31, 33]]);
+    assert.deepStrictEqual(result.ranges, [{ start: 30, end: 35 }]);
+});
+
+test('diarization labels segments by speaker in order of appearance', async () => {
+    const engine = new MockEngine([
+        { start: 1, end: 3, text: 'Hi.', speaker: 'ann' },
+        { start: 4, end: 6, text: 'Hello.', speaker: 'bob' },
+        { start: 7, end: 9, text: 'Bye.', speaker: 'ann' }
+    ]);
+    const transcriber = new Transcriber({ engine, diarize: true });
+
+    const result = await transcriber.transcribe(Transcriber.createSignalSource({ duration: 10 }));
+
+    assert.deepStrictEqual(result.segments.map(s => s.speaker), ['Speaker 1', 'Speaker 2', 'Speaker 1']);
+    assert.deepStrictEqual(engine.calls.map(c => c.type), ['load', 'loadSpeakers', 'transcribe', 'embed']);
+});
+
+test('a known number of speakers caps the labels', async () => {
+    const engine = new MockEngine([
+        { start: 1, end: 3, text: 'One.', speaker: 'ann' },
+        { start: 4, end: 6, text: 'Two.', speaker: 'bob' },
+        { start: 7, end: 9, text: 'Three.', speaker: 'cat' }
+    ]);
+    const transcriber = new Transcriber({ engine, diarize: true });
+
+    const result = await transcriber.transcribe(Transcriber.createSignalSource({ duration: 10 }), { speakers: 1 });
+
+    assert.deepStrictEqual(result.segments.map(s => s.speaker), ['Speaker 1', 'Speaker 1', 'Speaker 1']);
+});
+
+test('segments the engine could not score are left without a confidence', async () => {
+    const script = [
+        { start: 1, end: 4, text: 'Scored.', confidence: 0.3 },
+        { start: 6, end: 9, text: 'Not scored.' }
+    ];
+    const result = await new Transcriber({ engine: new MockEngine(script) })
+        .transcribe(Transcriber.createSignalSource({ duration: 10 }));
+
+    assert.deepStrictEqual(result.segments.map(s => s.confidence), [0.3, undefined]);
+    assert.ok(!('confidence' in result.segments[1]));
+    // Only the scored segment counts towards the summary
+    assert.strictEqual(result.confidence.average, 0.3);
+    assert.strictEqual(result.confidence.lowShare, 1);
+    assert.strictEqual(result.confidence.lowSegments, 1);
+});
+
+test('a speaker threshold of 0 is kept rather than replaced by the default', async () => {
+    // The mock's voices are orthogonal (similarity 0), so only a threshold of 0 merges them
+    const script = [
+        { start: 1, end: 3, text: 'One.', speaker: 'ann' },
+        { start: 4, end: 6, text: 'Two.', speaker: 'bob' }
+    ];
+    const byOption = await new Transcriber({ engine: new MockEngine(script), diarize: true, speakerThreshold: 0 })
+        .transcribe(Transcriber.createSignalSource({ duration: 10 }));
+    const byCall = await new Transcriber({ engine: new MockEngine(script), diarize: true })
+        .transcribe(Transcriber.createSignalSource({ duration: 10 }), { speakerThreshold: 0 });
+
+    assert.deepStrictEqual(byOption.segments.map(s => s.speaker), ['Speaker 1', 'Speaker 1']);
+    assert.deepStrictEqual(byCall.segments.map(s => s.speaker), ['Speaker 1', 'Speaker 1']);
+});
+
+test('segments without diarization have no speaker', async () => {
+    const transcriber = new Transcriber({ engine: new MockEngine(SCRIPT) });
+
+    const result = await transcriber.transcribe(Transcriber.createSignalSource({ duration: 45 }));
+
+    assert.ok(result.segments.every(s => s.speaker === undefined));
+});
@@ -1,20 +1,139 @@
 /**
  * Transcriptify - Client-side video transcription using Whisper AI
  * Uses Transformers.js to run Whisper directly in the browser
+ * Model loading and inference run in a Web Worker (whisper-worker.js)
  * No server, no API keys, no microphone needed
  */
 
+// Whisper expects 16kHz mono input
+const SAMPLE_RATE = 16000;
+
+// Subtitle rules used by Transcriber.resegment(), close to common broadcast/streaming guidelines
+const DEFAULT_SUBTITLE_RULES = {
+    maxCharsPerLine: 42,
+    maxLines: 2,
+    maxDuration: 7,     // seconds on screen
+    minDuration: 1,
+    maxCPS: 17,         // reading speed, characters per second
+    minGap: 0.083,      // two frames at 24fps between cues
+    maxPause: 1.5       // a silence this long always ends a cue
+};
+
+// Windowed-sinc resampler settings: zero crossings on each side of the kernel, Kaiser window beta,
+// and passband edge as a fraction of the lower Nyquist frequency
+const RESAMPLER_QUALITY = {
+    low: { zeroCrossings: 8, beta: 5, rolloff: 0.85 },
+    medium: { zeroCrossings: 16, beta: 8, rolloff: 0.9 },
+    high: { zeroCrossings: 32, beta: 10, rolloff: 0.94 }
+};
+
+// Energy-based voice activity detection, see Transcriber.createVadStream()
+const DEFAULT_VAD_OPTIONS = {
+    frame: 0.03,        // seconds per analysis frame
+    threshold: 12,      // dB above the noise floor that counts as voiced
+    minLevel: -55,      // dBFS; quieter frames are never speech
+    floorWindow: 5,     // seconds over which the noise floor is tracked
+    padding: 0.3,       // seconds of context kept before and after speech
+    minSilence: 0.6     // a pause must last this long to end a speech region
+};
+
+// Words the 'fillers' and 'profanity' cleanup rules look for unless a rule lists its own, see Transcriber.applyRules()
+const DEFAULT_FILLER_WORDS = ['um', 'umm', 'uh', 'uhh', 'uhm', 'er', 'erm', 'ah', 'hmm', 'mm'];
+const DEFAULT_PROFANITY = [
+    'fuck', 'fucks', 'fucked', 'fucking', 'motherfucker', 'shit', 'shits', 'shitty', 'bullshit',
+    'bitch', 'bitches', 'bastard', 'asshole', 'dick', 'cunt', 'piss', 'pissed', 'damn', 'goddamn', 'crap'
+];
+
+// Chapter detection, see Transcriber.detectChapters()
+const DEFAULT_CHAPTER_OPTIONS = {
+    minDuration: 60,    // seconds; no chapter is shorter (YouTube itself needs 10)
+    window: 60,         // seconds of text compared on either side of a possible break
+    pause: 3,           // seconds of silence that count as a break on their own
+    maxChapters: 30
+};
+
+// Words too common to name a chapter or appear in the keyword index
+const STOPWORDS = new Set(`
+    about above actually after again against also although always another anyone anything around away back
+    became because become been before being below between both but came can cannot come could did does doing
+    done down during each either else even ever every first from further get gets getting give given goes going
+    gonna good got gotta had has have having her here hers herself him himself his how however into its itself
+    just keep know knew last less let lets like little look lot lots made make makes many may maybe mean means
+    might mine more most much must myself need never next not nothing now off okay once one only other others
+    our ours ourselves out over own part pretty put quite rather really right said same say saying says see
+    seem seen she should show since some something sort still such sure take than thank thanks that the their
+    theirs them themselves then there these they thing things think this those though thought through too
+    took two under until upon use used very want wanna was way well went were what whatever when where whether
+    which while who whole whom whose why will with within without would yeah yes yet you your yours yourself
+    yourselves all and any are for
+`.trim().split(/\s+/));
+
+// Cache Storage bucket transformers.js keeps downloaded model files in
+const MODEL_CACHE = 'transformers-cache';
+
+// Bytes of a file read at once when streaming audio out of it
+const READ_SIZE = 1 << 20;
+
+// Export formats, filled in below the Transcriber class via Transcriber.registerExporter()
+const EXPORTERS = new Map();
+
+// ProjectLibrary.fileKey() results, so a File is only read through once
+const FILE_KEYS = new WeakMap();
+
+// Lookup table for Transcriber.crc32(), built on first use
+let CRC32_TABLE = null;
+
+const SENTENCE_END = /[.!?…。！？]["'”’)\]]*$/;
+const CLAUSE_END = /[,;:，、；：–—]["'”’)\]]*$/;
+
 class Transcriber {
     constructor(options = {}) {
         this.options = {
             model: options.model || 'Xenova/whisper-tiny.en',
-            language: options.language || 'en',
+            // Language code, or 'auto' to let a multilingual model detect it
+            language: Transcriber.normalizeLanguage(options.language || 'en'),
+            // 'transcribe' keeps the spoken language, 'translate' produces English
+            task: options.task || 'transcribe',
+            // Attach { word, start, end } timing to every segment
+            wordTimestamps: options.wordTimestamps || false,
+            workerUrl: options.workerUrl || 'whisper-worker.js',
+            // transformers.js module to import instead of the jsDelivr build, and where its ONNX .wasm files are
+            runtimeUrl: options.runtimeUrl || null,
+            wasmPaths: options.wasmPaths || null,
+            // Base URL of self-hosted models (<modelPath>/<model>/config.json, ...); turns off the Hugging Face hub
+            modelPath: options.modelPath || null,
+            allowRemoteModels: options.allowRemoteModels !== undefined ? options.allowRemoteModels : !options.modelPath,
+            // Seconds of audio sent to Whisper per request (its context is 30s)
+            chunkLength: Math.min(options.chunkLength || 30, 30),
+            // 'low', 'medium' or 'high' windowed-sinc filter, or 'browser' to let OfflineAudioContext resample
+            resampleQuality: options.resampleQuality || 'medium',
+            // Only transcribe speech: true, or settings overriding DEFAULT_VAD_OPTIONS; off unless asked for
+            vad: options.vad || false,
+            // Label segments with speakers using x-vector embeddings from speakerModel
+            diarize: options.diarize || false,
+            speakerModel: options.speakerModel || 'Xenova/wavlm-base-plus-sv',
+            // Cosine similarity above which two groups of segments are the same speaker
+            speakerThreshold: options.speakerThreshold !== undefined ? options.speakerThreshold : 0.86,
+            // Segments and words the model was less sure of than this are flagged for review
+            confidenceThreshold: options.confidenceThreshold !== undefined ? options.confidenceThreshold : 0.6,
+            // Text Whisper is primed with, and names or jargon it should spell the way they are written here
+            prompt: options.prompt || null,
+            glossary: options.glossary || [],
+            // AudioWorklet module transcribeStream() captures with, and how often (seconds) it re-transcribes
+            captureWorkletUrl: options.captureWorkletUrl || 'capture-worklet.js',
+            liveInterval: options.liveInterval || 2,
         };
 
-        this.pipeline = null;
+        // Speech recognition backend, Whisper in a worker unless another engine (such as a MockEngine) is passed
+        this.engine = options.engine || this.createEngine();
+        this.modelLoaded = false;
+        this.speakerModelLoaded = false;
         this.isTranscribing = false;
         this.isCancelled = false;
+        this.liveSource = null;
         this.segments = [];
+        // Speaker embedding for each entry of this.segments when diarizing
+        this.embeddings = [];
         this.listeners = {};
     }
 
@@ -22,7 +141,8 @@ class Transcriber {
      * Check if browser supports required features
      */
     isSupported() {
-        return typeof AudioContext !== 'undefined' || typeof webkitAudioContext !== 'undefined';
+        const hasAudioContext = typeof AudioContext !== 'undefined' || typeof webkitAudioContext !== 'undefined';
+        return hasAudioContext && this.engine.isSupported();
     }
 
     /**
@@ -55,25 +175,155 @@ class Transcriber {
         }
     }
 
+    /**
+     * The default engine: Whisper through transformers.js, in the worker createWorker() starts
+     */
+    createEngine() {
+        return new WhisperEngine({
+            createWorker: () => this.createWorker(),
+            onError: (error) => this.terminateWorker(error)
+        });
+    }
+
+    /**
+     * Create the worker running whisper-worker.js; anything with the Web Worker interface will do
+     */
+    createWorker() {
+        return new Worker(this.options.workerUrl, { type: 'module' });
+    }
+
+    /**
+     * Stop the engine immediately and fail every call still waiting on it; models are loaded again on the next run
+     */
+    terminateWorker(reason) {
+        this.engine.terminate(reason);
+        this.modelLoaded = false;
+        this.speakerModelLoaded = false;
+    }
+
+    /**
+     * Switch to a different Whisper model; it is loaded on the next transcription
+     */
+    setModel(model) {
+        if (model === this.options.model) return;
+        this.options.model = model;
+        this.modelLoaded = false;
+    }
+
     /**
      * Load the Whisper model
      */
     async loadModel(onProgress) {
-        if (this.pipeline) return this.pipeline;
+        if (this.modelLoaded) return;
 
-        const { pipeline } = await import('https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.1');
+        await this.engine.load(this.options.model, this.runtimeConfig(), (progress) => {
+            const percent = progress.percent;
+            if (onProgress) onProgress({ status: 'loading', message: `Loading AI model... ${percent}%`, percent });
+            this.emit('loading', { percent, file: progress.file });
+        });
 
-        this.pipeline = await pipeline('automatic-speech-recognition', this.options.model, {
-            progress_callback: (progress) => {
-                if (progress.status === 'downloading' || progress.status === 'progress') {
-                    const percent = progress.progress ? Math.round(progress.progress) : 0;
-                    if (onProgress) onProgress({ status: 'loading', message: `Loading AI model... ${percent}%`, percent });
-                    this.emit('loading', { percent, file: progress.file });
-                }
-            }
+        this.modelLoaded = true;
+    }
+
+    /**
+     * Load the speaker embedding model used for diarization
+     */
+    async loadSpeakerModel(onProgress) {
+        if (this.speakerModelLoaded) return;
+
+        await this.engine.loadSpeakers(this.options.speakerModel, this.runtimeConfig(), (progress) => {
+            const percent = progress.percent;
+            if (onProgress) onProgress({ status: 'loading', message: `Loading speaker model... ${percent}%`, percent });
+            this.emit('loading', { percent, file: progress.file });
+        });
+
+        this.speakerModelLoaded = true;
+    }
+
+    /**
+     * Runtime and model location settings, sent to the worker with every model load
+     * Self-hosted models need a self-hosted runtime too, or they would still be loaded by code from jsDelivr.
+     */
+    runtimeConfig() {
+        const { runtimeUrl, wasmPaths, modelPath, allowRemoteModels } = this.options;
+        if (modelPath && !runtimeUrl) {
+            throw new Error('modelPath is set but runtimeUrl is not. Serve transformers.js next to the models and pass its URL as runtimeUrl.');
+        }
+        const runtime = { allowRemoteModels };
+        if (runtimeUrl) runtime.url = runtimeUrl;
+        if (wasmPaths) runtime.wasmPaths = wasmPaths;
+        if (modelPath) runtime.modelPath = modelPath;
+        return runtime;
+    }
+
+    /**
+     * Download a model into the browser cache so it can be used offline later
+     * The model currently loaded for transcription stays loaded
+     */
+    async downloadModel(model, onProgress) {
+        await this.engine.download(model, this.runtimeConfig(), (progress) => {
+            if (onProgress) onProgress({ status: 'downloading', message: `Downloading ${model}... ${progress.percent}%`, percent: progress.percent, file: progress.file });
         });
+    }
+
+    /**
+     * Models in the browser cache, as [{ model, files, size }] with size in bytes
+     */
+    async listCachedModels() {
+        if (typeof caches === 'undefined') return [];
+
+        const cache = await caches.open(MODEL_CACHE);
+        const models = new Map();
+        for (const request of await cache.keys()) {
+            const model = this.cachedModelName(request.url);
+            if (!model) continue;
+
+            // Cached responses keep their headers; fall back to reading the body when the length is missing
+            const response = await cache.match(request);
+            const length = Number(response.headers.get('content-length'));
+            const size = length > 0 ? length : (await response.blob()).size;
+
+            const entry = models.get(model) || { model, files: 0, size: 0 };
+            entry.files++;
+            entry.size += size;
+            models.set(model, entry);
+        }
+        return [...models.values()].sort((a, b) => a.model.localeCompare(b.model));
+    }
+
+    /**
+     * Remove a model's files from the browser cache; returns how many were removed
+     * A model that is loaded right now stays usable until the worker is restarted
+     */
+    async deleteCachedModel(model) {
+        if (typeof caches === 'undefined') return 0;
+
+        const cache = await caches.open(MODEL_CACHE);
+        let removed = 0;
+        for (const request of await cache.keys()) {
+            if (this.cachedModelName(request.url) === model && await cache.delete(request)) removed++;
+        }
+        return removed;
+    }
 
-        return this.pipeline;
+    /**
+     * Model id a cached file belongs to: hub URLs are <host>/<model>/resolve/<revision>/<file>,
+     * self-hosted ones <modelPath>/<model>/[onnx/]<file>. Returns null for anything else.
+     */
+    cachedModelName(url) {
+        const { pathname } = new URL(url);
+        const resolve = pathname.indexOf('/resolve/');
+        if (resolve > 0) return decodeURIComponent(pathname.slice(1, resolve));
+
+        if (!this.options.modelPath) return null;
+        // The worker resolves modelPath against its own URL
+        const base = new URL(this.options.modelPath, new URL(this.options.workerUrl, location.href)).pathname;
+        if (!pathname.startsWith(base)) return null;
+
+        const parts = pathname.slice(base.length).split('/').filter(Boolean);
+        parts.pop();
+        if (parts[parts.length - 1] === 'onnx') parts.pop();
+        return parts.length ? decodeURIComponent(parts.join('/')) : null;
     }
 
     /**
@@ -112,8 +362,9 @@ class Transcriber {
                     if (onProgress) onProgress({ status: 'processing', message: 'Processing audio...', percent: 50 });
 
                     // Resample to 16kHz mono (required by Whisper)
-                    const targetSampleRate = 16000;
-                    const audioData = this.resampleAudio(audioBuffer, targetSampleRate);
+                    const audioData = this.options.resampleQuality === 'browser' && typeof OfflineAudioContext !== 'undefined'
+                        ? await this.renderAudio(audioBuffer, SAMPLE_RATE)
+                        : this.resampleAudio(audioBuffer, SAMPLE_RATE);
 
                     audioContext.close();
                     
@@ -134,50 +385,101 @@ class Transcriber {
      * Resample audio to target sample rate and convert to mono
      */
     resampleAudio(audioBuffer, targetSampleRate) {
-        const numChannels = audioBuffer.numberOfChannels;
-        const sourceSampleRate = audioBuffer.sampleRate;
-        const sourceLength = audioBuffer.length;
-        
-        // Calculate target length
-        const targetLength = Math.round(sourceLength * targetSampleRate / sourceSampleRate);
-        const result = new Float32Array(targetLength);
-        
-        // First, mix to mono
-        const mono = new Float32Array(sourceLength);
-        for (let channel = 0; channel < numChannels; channel++) {
-            const channelData = audioBuffer.getChannelData(channel);
-            for (let i = 0; i < sourceLength; i++) {
-                mono[i] += channelData[i] / numChannels;
+        const quality = RESAMPLER_QUALITY[this.options.resampleQuality] ? this.options.resampleQuality : 'high';
+        return Transcriber.resample(Transcriber.downmix(audioBuffer), audioBuffer.sampleRate, targetSampleRate, { quality });
+    }
+
+    /**
+     * Let the browser downmix and resample by rendering through an OfflineAudioContext
+     */
+    async renderAudio(audioBuffer, targetSampleRate) {
+        const length = Math.round(audioBuffer.length * targetSampleRate / audioBuffer.sampleRate);
+        const context = new OfflineAudioContext(1, length, targetSampleRate);
+        const source = context.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(context.destination);
+        source.start();
+
+        const rendered = await context.startRendering();
+        return rendered.getChannelData(0);
+    }
+
+    /**
+     * Open a file as a stream of 16kHz mono blocks for transcribeWindows()
+     * WAV, MP4/MOV and WebM are demuxed and decoded a slice at a time (with WebCodecs for compressed audio),
+     * so memory use does not grow with the length of the file; anything else is decoded whole by extractAudio()
+     * An audio source (see createArraySource()) is read as it is.
+     */
+    async openAudio(file, onProgress) {
+        const quality = this.options.resampleQuality;
+        if (Transcriber.isAudioSource(file)) return Transcriber.createAudioStream(file, quality === 'browser' ? 'medium' : quality);
+
+        if (quality !== 'browser') {
+            try {
+                const source = await Transcriber.openMediaSource(file);
+                if (source) return Transcriber.createAudioStream(source, quality);
+            } catch (error) {
+                console.warn('Streaming decode not possible, decoding the whole file instead:', error.message);
             }
         }
-        
-        // Then resample using linear interpolation
-        const ratio = sourceSampleRate / targetSampleRate;
-        for (let i = 0; i < targetLength; i++) {
-            const srcIndex = i * ratio;
-            const srcIndexFloor = Math.floor(srcIndex);
-            const srcIndexCeil = Math.min(srcIndexFloor + 1, sourceLength - 1);
-            const t = srcIndex - srcIndexFloor;
-            result[i] = mono[srcIndexFloor] * (1 - t) + mono[srcIndexCeil] * t;
-        }
-        
-        return result;
+
+        const audioData = await this.extractAudio(file, onProgress);
+        return Transcriber.createAudioStream(Transcriber.createArraySource(audioData), quality);
     }
 
     /**
-     * Transcribe a video/audio file
+     * Transcribe a video/audio file, or an audio source such as createArraySource() makes
      */
     async transcribe(file, options = {}) {
-        if (!this.isSupported()) {
-            throw new Error('AudioContext is not supported in this browser.');
+        // A source is already decoded, so only the engine has to work here
+        if (Transcriber.isAudioSource(file) ? !this.engine.isSupported() : !this.isSupported()) {
+            throw new Error('AudioContext and Web Workers are required but not supported in this browser.');
         }
 
         const onProgress = options.onProgress || (() => { });
         const onPartialResult = options.onPartialResult || (() => { });
+        const language = Transcriber.normalizeLanguage(options.language || this.options.language);
+        const task = options.task || this.options.task;
+        const wordTimestamps = options.wordTimestamps !== undefined ? options.wordTimestamps : this.options.wordTimestamps;
+        const vad = options.vad !== undefined ? options.vad : this.options.vad;
+        const diarize = options.diarize !== undefined ? options.diarize : this.options.diarize;
+        const confidenceThreshold = options.confidenceThreshold !== undefined ? options.confidenceThreshold : this.options.confidenceThreshold;
+        const prompt = Transcriber.buildPrompt(
+            options.prompt !== undefined ? options.prompt : this.options.prompt,
+            options.glossary !== undefined ? options.glossary : this.options.glossary
+        );
+        // Only transcribe part of the media: options.ranges, or options.start and/or options.end for one range
+        const ranges = options.ranges ? Transcriber.normalizeRanges(options.ranges)
+            : options.start !== undefined || options.end !== undefined
+                ? Transcriber.normalizeRanges([{ start: options.start || 0, end: options.end !== undefined ? options.end : null }])
+                : null;
+
+        if (task !== 'transcribe' && task !== 'translate') {
+            throw new Error(`Unknown task "${task}". Use 'transcribe' or 'translate'.`);
+        }
+        if (Transcriber.isEnglishOnlyModel(this.options.model) && ((language !== 'en' && language !== 'auto') || task === 'translate')) {
+            throw new Error(`${this.options.model} only understands English. Use a multilingual model such as ${Transcriber.getMultilingualModel(this.options.model)} for other languages or translation.`);
+        }
+
+        // A checkpoint only fits a run with the same settings; anything else changes the windows or their text
+        const settings = {
+            model: this.options.model, language, task, wordTimestamps, vad, diarize, ranges,
+            chunkLength: this.options.chunkLength, resampleQuality: this.options.resampleQuality
+        };
+        // Only set when used, so checkpoints from before prompts existed still match
+        if (prompt) settings.prompt = prompt;
+        let resume = options.resume || null;
+        if (resume && JSON.stringify(resume.settings) !== JSON.stringify(settings)) {
+            console.log('Checkpoint was made with other settings, starting over');
+            resume = null;
+        }
+        const onCheckpoint = options.onCheckpoint ? (state) => options.onCheckpoint({ settings, ...state }) : null;
 
         this.isTranscribing = true;
         this.isCancelled = false;
         this.segments = [];
+        this.embeddings = [];
+        let audio = null;
 
         try {
             this.emit('start');
@@ -187,61 +489,66 @@ class Transcriber {
             await this.loadModel((progress) => {
                 onProgress(progress);
             });
+            if (diarize) await this.loadSpeakerModel(onProgress);
 
             if (this.isCancelled) throw new Error('Cancelled');
 
-            // Step 2: Extract audio from video
+            // Step 2: Open the audio track; it is decoded as transcription goes along
             onProgress({ status: 'extracting', message: 'Extracting audio from video...', percent: 0 });
-            const audioData = await this.extractAudio(file, onProgress);
+            audio = await this.openAudio(file, onProgress);
+            const selection = ranges ? Transcriber.createRangeStream(audio, ranges) : null;
+            if (selection) audio = selection;
+            if (vad) audio = Transcriber.createVadStream(audio, vad === true ? {} : vad);
 
             if (this.isCancelled) throw new Error('Cancelled');
 
-            // Step 3: Transcribe with Whisper
+            // Step 3: Transcribe with Whisper, one window at a time
             onProgress({ status: 'transcribing', message: 'Transcribing audio (this may take a while)...', percent: 0 });
-            onPartialResult('Processing audio with Whisper AI...');
 
-            console.log('Starting Whisper transcription, audio length:', audioData.length / 16000, 'seconds');
-            
-            let result;
-            try {
-                result = await this.pipeline(audioData, {
-                    chunk_length_s: 30,
-                    stride_length_s: 5,
-                    return_timestamps: true,
-                });
-            } catch (pipelineError) {
-                console.error('Pipeline error:', pipelineError);
-                throw new Error('Transcription failed: ' + pipelineError.message);
-            }
-            
-            console.log('Whisper result:', result);
+            console.log('Starting Whisper transcription, audio length:', audio.duration, 'seconds');
+
+            const windows = await this.transcribeWindows(audio, { onProgress, onPartialResult, language, task, wordTimestamps, prompt, diarize, resume, onCheckpoint });
+            const detectedLanguage = windows.language;
+            // With ranges only the selected audio was read; the duration runs up to the end of the last one
+            const duration = selection ? selection.mapTime(windows.duration, true) : windows.duration;
 
             if (this.isCancelled) throw new Error('Cancelled');
 
-            // Process results
-            let fullText = '';
-            this.segments = [];
-
-            if (result.chunks && result.chunks.length > 0) {
-                this.segments = result.chunks.map(chunk => ({
-                    text: chunk.text.trim(),
-                    startTime: chunk.timestamp[0] || 0,
-                    endTime: chunk.timestamp[1] || 0,
-                    confidence: 0.9
-                }));
-                fullText = this.segments.map(s => s.text).join(' ');
-            } else {
-                fullText = result.text || '';
+            // Step 4: Group the segments' voice embeddings into speakers
+            if (diarize) {
+                onProgress({ status: 'diarizing', message: 'Identifying speakers...', percent: 100 });
+                const labels = Transcriber.clusterSpeakers(this.embeddings, {
+                    threshold: options.speakerThreshold !== undefined ? options.speakerThreshold : this.options.speakerThreshold,
+                    speakers: options.speakers
+                });
+                this.segments.forEach((segment, i) => { segment.speaker = `Speaker ${labels[i] + 1}`; });
             }
 
+            const fullText = this.segments.map(s => s.text).join(' ');
+
             onProgress({ status: 'complete', message: 'Transcription complete!', percent: 100 });
 
             const finalResult = {
                 text: fullText.trim(),
                 segments: this.segments,
-                duration: this.segments.length > 0 ? this.segments[this.segments.length - 1].endTime : 0,
-                language: this.options.language
+                duration,
+                language: detectedLanguage,
+                task,
+                model: this.options.model
             };
+            if (selection) {
+                finalResult.ranges = selection.ranges
+                    .filter(range => range.start < duration)
+                    .map(range => ({ start: range.start, end: range.end === null ? duration : Math.min(range.end, duration) }));
+            }
+            if (vad) {
+                // Speech running on across a join between ranges does not cover the audio that was skipped
+                const speech = !selection ? audio.speech : audio.speech.flatMap(region => finalResult.ranges
+                    .map(range => ({ start: Math.max(region.start, range.start), end: Math.min(region.end === null ? duration : region.end, range.end) }))
+                    .filter(part => part.start < part.end));
+                finalResult.speechMap = Transcriber.speechMap(speech, duration);
+            }
+            finalResult.confidence = Transcriber.confidenceSummary(this.segments, confidenceThreshold);
 
             this.emit('end', finalResult);
             this.isTranscribing = false;
@@ -256,184 +563,5474 @@ class Transcriber {
             }
             this.emit('error', { error });
             throw error;
+        } finally {
+            if (audio) audio.close();
         }
     }
 
     /**
-     * Cancel ongoing transcription
+     * Run Whisper over an audio stream window by window, appending finalized segments to this.segments
+     * Only the current window of audio is held; blocks are read from the stream as the windows advance
+     * A segment cut off by the end of a window is dropped and re-decoded at the start of the next one
+     * Returns the language used (detected from the first window when language is 'auto') and the duration
+     * After every window onCheckpoint gets what is needed to pick up from there; passing it back as resume
+     * decodes the audio up to that point without transcribing it again
      */
-    cancel() {
-        this.isCancelled = true;
-        this.isTranscribing = false;
-        this.emit('cancel');
-    }
+    async transcribeWindows(audio, { onProgress, onPartialResult, language = 'en', task = 'transcribe', wordTimestamps = false, prompt = null, diarize = false, resume = null, onCheckpoint = null }) {
+        const windowSize = this.options.chunkLength * SAMPLE_RATE;
+        const englishOnly = Transcriber.isEnglishOnlyModel(this.options.model);
+        if (englishOnly) language = 'en';
+        let startedAt = Date.now();
+        let offset = 0;
+        // Seconds that were already transcribed before a resume, left out of the ETA
+        let resumedAt = 0;
 
-    /**
-     * Convert segments to SRT format
-     */
-    static toSRT(segments) {
-        return segments.map((segment, index) => {
-            const startTime = Transcriber.formatTimeSRT(segment.startTime);
-            const endTime = Transcriber.formatTimeSRT(segment.endTime);
-            return `${index + 1}\n${startTime} --> ${endTime}\n${segment.text}\n`;
-        }).join('\n');
-    }
+        // With VAD or time ranges the stream skips audio, so times in it are mapped back to the original timeline
+        const toTime = audio.mapTime ? (seconds, isEnd) => audio.mapTime(seconds, isEnd) : seconds => seconds;
+        const toRange = audio.mapRange ? (start, end) => audio.mapRange(start, end) : (start, end) => ({ start, end });
+        // Progress is measured in the seconds audio.time and audio.duration count, which VAD does not skip
+        const toElapsed = audio.elapsed ? seconds => audio.elapsed(seconds) : seconds => seconds;
 
-    /**
-     * Convert segments to WebVTT format
-     */
-    static toVTT(segments) {
-        const lines = ['WEBVTT\n'];
-        segments.forEach((segment, index) => {
-            const startTime = Transcriber.formatTimeVTT(segment.startTime);
-            const endTime = Transcriber.formatTimeVTT(segment.endTime);
-            lines.push(`${index + 1}`);
-            lines.push(`${startTime} --> ${endTime}`);
-            lines.push(segment.text);
-            lines.push('');
-        });
-        return lines.join('\n');
-    }
+        // Decoded audio from bufferStart on; everything before the current window has been dropped
+        let buffer = new Float32Array(0);
+        let bufferStart = 0;
+        let ended = false;
 
-    /**
-     * Format time for SRT (HH:MM:SS,mmm)
-     */
-    static formatTimeSRT(seconds) {
-        const h = Math.floor(seconds / 3600);
-        const m = Math.floor((seconds % 3600) / 60);
-        const s = Math.floor(seconds % 60);
-        const ms = Math.floor((seconds % 1) * 1000);
-        return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')},${String(ms).padStart(3, '0')}`;
-    }
+        const fill = async (until) => {
+            const blocks = [buffer];
+            let length = buffer.length;
+            while (!ended && bufferStart + length < until) {
+                const block = await audio.read();
+                if (this.isCancelled) throw new Error('Cancelled');
+                if (!block) ended = true;
+                else if (block.length) {
+                    blocks.push(block);
+                    length += block.length;
+                }
+            }
+            if (blocks.length > 1) {
+                buffer = new Float32Array(length);
+                let position = 0;
+                for (const block of blocks) {
+                    buffer.set(block, position);
+                    position += block.length;
+                }
+            }
+        };
 
-    /**
-     * Format time for VTT (HH:MM:SS.mmm)
-     */
-    static formatTimeVTT(seconds) {
-        const h = Math.floor(seconds / 3600);
-        const m = Math.floor((seconds % 3600) / 60);
-        const s = Math.floor(seconds % 60);
-        const ms = Math.floor((seconds % 1) * 1000);
-        return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
-    }
+        if (resume) {
+            onProgress({ status: 'resuming', message: 'Skipping the part transcribed before...', percent: resume.percent || 0 });
+            this.segments.push(...resume.segments);
+            this.embeddings.push(...resume.embeddings);
+            language = resume.language;
+            offset = resume.offset;
 
-    /**
-     * Format time for display (MM:SS)
-     */
-    static formatTimeDisplay(seconds) {
-        if (seconds === null || seconds === undefined || isNaN(seconds)) {
-            return '00:00';
+            // Decode up to the checkpoint, keeping nothing before it; the VAD stream rebuilds its speech regions on the way
+            while (!ended && bufferStart + buffer.length < offset) {
+                bufferStart += buffer.length;
+                buffer = new Float32Array(0);
+                const block = await audio.read();
+                if (this.isCancelled) throw new Error('Cancelled');
+                if (!block) ended = true;
+                else buffer = block;
+            }
+            if (bufferStart + buffer.length >= offset) {
+                buffer = buffer.subarray(offset - bufferStart);
+                bufferStart = offset;
+            }
+
+            startedAt = Date.now();
+            resumedAt = toElapsed(offset / SAMPLE_RATE);
+            if (this.segments.length) onPartialResult(this.segments.map(s => s.text).join(' '), this.segments);
         }
-        const m = Math.floor(seconds / 60);
-        const s = Math.floor(seconds % 60);
-        return `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
-    }
-}
 
-// ===== UI Code (only runs on main page) =====
+        for (;;) {
+            if (this.isCancelled) throw new Error('Cancelled');
 
-document.addEventListener('DOMContentLoaded', () => {
-    console.log('Transcriptify: DOM loaded, initializing...');
+            // One sample past the window tells us whether this is the last one
+            await fill(offset + windowSize + 1);
+            const available = bufferStart + buffer.length;
+            if (offset >= available) break;
 
-    // Check if we're on the main page
-    const dropzone = document.getElementById('dropzone');
-    if (!dropzone) {
-        console.log('Transcriptify: Not on main page (no dropzone found)');
-        return;
-    }
+            const end = Math.min(offset + windowSize, available);
+            const isLast = ended && end >= available;
+            const windowOffset = offset;
+            const windowStart = offset / SAMPLE_RATE;
+            const windowEnd = end / SAMPLE_RATE;
 
-    console.log('Transcriptify: Found dropzone, setting up event handlers');
+            let result;
+            try {
+                if (language === 'auto') {
+                    const sample = buffer.slice(offset - bufferStart, end - bufferStart);
+                    language = await this.engine.detectLanguage(sample) || 'en';
+                    console.log('Detected language:', language);
+                    this.emit('language', { language });
+                }
 
-    const fileInput = document.getElementById('fileInput');
-    const processingSection = document.getElementById('processing-section');
-    const resultSection = document.getElementById('result-section');
-    const videoPlayer = document.getElementById('videoPlayer');
-    const transcribeBtn = document.getElementById('transcribeBtn');
-    const cancelBtn = document.getElementById('cancelBtn');
-    const statusEl = document.getElementById('status');
-    const progressContainer = document.getElementById('progress-container');
-    const progressEl = document.getElementById('progress');
-    const progressText = document.getElementById('progress-text');
-    const transcriptEl = document.getElementById('transcript');
-    const copyBtn = document.getElementById('copyBtn');
-    const downloadBtn = document.getElementById('downloadBtn');
-    const downloadSrtBtn = document.getElementById('downloadSrtBtn');
+                // English-only models have no language or task tokens
+                const whisperOptions = englishOnly ? { wordTimestamps, prompt } : { language, task, wordTimestamps, prompt };
 
-    const transcriber = new Transcriber();
-    let currentFile = null;
-    let transcriptionResult = null;
+                // slice() copies the window so its buffer can be transferred to the worker
+                const chunk = buffer.slice(offset - bufferStart, end - bufferStart);
+                result = await this.engine.transcribe(chunk, whisperOptions, { start: windowStart });
+            } catch (pipelineError) {
+                if (this.isCancelled) throw new Error('Cancelled');
+                console.error('Pipeline error:', pipelineError);
+                throw new Error('Transcription failed: ' + pipelineError.message);
+            }
 
-    // Drag and drop handlers
-    dropzone.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        dropzone.classList.add('dragover');
-    });
+            const segments = Transcriber.windowSegments(result.chunks, windowStart, windowEnd);
 
-    dropzone.addEventListener('dragleave', () => {
-        dropzone.classList.remove('dragover');
-    });
+            let next = end;
+            if (!isLast && segments.length > 1) {
+                const last = segments[segments.length - 1];
+                if (!last.complete || last.endTime > windowEnd - 1) {
+                    segments.pop();
+                    next = Math.round(last.startTime * SAMPLE_RATE);
+                }
+            }
+            // Always move forward, even if Whisper put a segment at the very start of the window
+            offset = next > offset ? next : end;
 
-    dropzone.addEventListener('drop', (e) => {
-        e.preventDefault();
-        dropzone.classList.remove('dragover');
+            const finalized = [];
+            const ranges = [];
+            for (const { complete, ...segment } of segments) {
+                if (!segment.text) continue;
 
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
-            const file = files[0];
-            // Check MIME type or file extension
-            const isVideo = file.type.startsWith('video/') ||
-                file.type.startsWith('audio/') ||
-                /\.(mp4|webm|mov|avi|mkv|mp3|wav|m4a|ogg)$/i.test(file.name);
-            if (isVideo) {
-                handleFile(file);
-            } else {
-                console.log('Rejected file:', file.name, file.type);
-            }
-        }
-    });
+                const endTime = Math.min(segment.endTime, windowEnd);
+                const range = toRange(segment.startTime, endTime);
+                const mapped = { ...segment, startTime: range.start, endTime: range.end };
+                if (segment.words) {
+                    mapped.words = segment.words.map(word => ({ ...word, start: toTime(word.start), end: toTime(word.end, true) }));
+                }
 
-    dropzone.addEventListener('click', (e) => {
-        e.stopPropagation();
-        fileInput.click();
-    });
+                // Text in the padding around speech is almost always a hallucination ("Thank you.")
+                if (audio.speech && !audio.speech.some(region =>
+                    region.start < mapped.endTime && (region.end === null || region.end > mapped.startTime))) continue;
 
-    fileInput.addEventListener('change', (e) => {
-        console.log('File input change:', e.target.files);
-        if (e.target.files.length > 0) {
-            handleFile(e.target.files[0]);
-        }
-    });
+                finalized.push(mapped);
+                ranges.push(Transcriber.embeddingRange(segment.startTime, endTime, windowOffset, end));
+            }
 
-    function handleFile(file) {
-        console.log('handleFile called with:', file.name, file.type, file.size);
-        currentFile = file;
+            if (diarize && finalized.length) {
+                // The buffer still starts at this window, so only the window is sent
+                const windowAudio = buffer.slice(windowOffset - bufferStart, end - bufferStart);
+                const shifted = ranges.map(([from, to]) => [from - windowOffset, to - windowOffset]);
+                try {
+                    this.embeddings.push(...await this.engine.embed(windowAudio, shifted, { start: windowStart }));
+                } catch (error) {
+                    if (this.isCancelled) throw new Error('Cancelled');
+                    throw new Error('Speaker identification failed: ' + error.message);
+                }
+            }
+            this.segments.push(...finalized);
 
-        // Show video preview
-        const videoUrl = URL.createObjectURL(file);
-        videoPlayer.src = videoUrl;
+            // The next window starts at offset, so nothing before it is needed any more
+            buffer = buffer.subarray(offset - bufferStart);
+            bufferStart = offset;
 
-        // Show processing section
-        processingSection.classList.remove('hidden');
-        resultSection.classList.add('hidden');
+            // Without a duration in the container, extrapolate from how much of the file has been read
+            const processed = isLast ? audio.time : toElapsed(offset / SAMPLE_RATE);
+            const fraction = audio.progress();
+            const totalSeconds = Math.max(processed, ended ? audio.time
+                : audio.duration || (fraction > 0 ? audio.time / fraction : processed));
+            const percent = Math.round((processed / totalSeconds) * 100);
+            const elapsed = (Date.now() - startedAt) / 1000;
+            // Unknown (null) until this run has got through some audio of its own
+            const eta = processed >= totalSeconds ? 0
+                : processed > resumedAt ? elapsed / (processed - resumedAt) * (totalSeconds - processed) : null;
+            const text = this.segments.map(s => s.text).join(' ');
 
-        // Reset state
-        statusEl.textContent = `Loaded: ${file.name}`;
-        statusEl.style.color = '';
-        progressContainer.classList.add('hidden');
-        progressEl.style.width = '0%';
-        progressText.textContent = '0%';
-        transcriptEl.textContent = '';
+            onProgress({
+                status: 'transcribing',
+                message: `Transcribing... ${percent}%` + (eta > 0 ? ` (about ${Transcriber.formatDuration(eta)} left)` : ''),
+                percent,
+                eta
+            });
+            this.emit('progress', { progress: percent, processed, duration: totalSeconds, eta });
 
-        transcribeBtn.disabled = false;
-        cancelBtn.classList.add('hidden');
+            if (onCheckpoint && !isLast) {
+                onCheckpoint({
+                    offset,
+                    percent,
+                    language,
+                    segments: this.segments.slice(),
+                    embeddings: this.embeddings.slice()
+                });
+            }
 
-        // Scroll to processing section
-        processingSection.scrollIntoView({ behavior: 'smooth' });
+            if (finalized.length > 0) {
+                this.emit('result', { text, segments: finalized, isFinal: true });
+                onPartialResult(text, this.segments);
+            }
+        }
+
+        return { language, duration: audio.time };
     }
 
-    transcribeBtn.addEventListener('click', async () => {
-        if (!currentFile) return;
+    /**
+     * Caption a live MediaStream (getUserMedia or getDisplayMedia audio) until stop() or the tracks end
+     * Audio is captured with an AudioWorklet, resampled to 16kHz and transcribed in rolling windows; `result`
+     * events bring provisional segments (isFinal: false), which are replaced as they settle into final ones
+     * Resolves with the same result as transcribe(), plus `recording` (a Blob of the audio) with options.record
+     */
+    async transcribeStream(mediaStream, options = {}) {
+        if (!this.isSupported() || typeof AudioWorkletNode === 'undefined') {
+            throw new Error('AudioWorklet and Web Workers are required for live transcription but not supported in this browser.');
+        }
+        if (!mediaStream.getAudioTracks().length) {
+            throw new Error('The stream has no audio. When sharing a tab or screen, choose to share its audio too.');
+        }
+
+        const onProgress = options.onProgress || (() => { });
+        const onPartialResult = options.onPartialResult || (() => { });
+        const language = Transcriber.normalizeLanguage(options.language || this.options.language);
+        const task = options.task || this.options.task;
+        const wordTimestamps = options.wordTimestamps !== undefined ? options.wordTimestamps : this.options.wordTimestamps;
+        const vad = options.vad !== undefined ? options.vad : this.options.vad;
+        const confidenceThreshold = options.confidenceThreshold !== undefined ? options.confidenceThreshold : this.options.confidenceThreshold;
+        const prompt = Transcriber.buildPrompt(
+            options.prompt !== undefined ? options.prompt : this.options.prompt,
+            options.glossary !== undefined ? options.glossary : this.options.glossary
+        );
+
+        if (task !== 'transcribe' && task !== 'translate') {
+            throw new Error(`Unknown task "${task}". Use 'transcribe' or 'translate'.`);
+        }
+        if (Transcriber.isEnglishOnlyModel(this.options.model) && ((language !== 'en' && language !== 'auto') || task === 'translate')) {
+            throw new Error(`${this.options.model} only understands English. Use a multilingual model such as ${Transcriber.getMultilingualModel(this.options.model)} for other languages or translation.`);
+        }
+
+        this.isTranscribing = true;
+        this.isCancelled = false;
+        this.segments = [];
+        this.embeddings = [];
+        let source = null;
+        let recorder = null;
+
+        try {
+            this.emit('start');
+
+            onProgress({ status: 'loading', message: 'Loading AI model...', percent: 0 });
+            await this.loadModel(onProgress);
+            if (this.isCancelled) throw new Error('Cancelled');
+
+            source = await this.openLiveSource(mediaStream);
+            this.liveSource = source;
+            if (options.record) recorder = Transcriber.startRecording(mediaStream);
+
+            let audio = Transcriber.createAudioStream(source, this.options.resampleQuality);
+            if (vad) audio = Transcriber.createVadStream(audio, vad === true ? {} : vad);
+
+            onProgress({ status: 'listening', message: 'Listening...', percent: 0 });
+            const { language: detectedLanguage, duration } = await this.transcribeLive(audio, { onProgress, onPartialResult, language, task, wordTimestamps, prompt });
+            if (this.isCancelled) throw new Error('Cancelled');
+
+            onProgress({ status: 'complete', message: 'Transcription complete!', percent: 100 });
+
+            const finalResult = {
+                text: this.segments.map(s => s.text).join(' ').trim(),
+                segments: this.segments,
+                duration,
+                language: detectedLanguage,
+                task,
+                model: this.options.model
+            };
+            if (vad) finalResult.speechMap = Transcriber.speechMap(audio.speech, duration);
+            finalResult.confidence = Transcriber.confidenceSummary(this.segments, confidenceThreshold);
+            if (recorder) finalResult.recording = await recorder.stop();
+
+            this.emit('end', finalResult);
+            this.isTranscribing = false;
+
+            return finalResult;
+
+        } catch (error) {
+            this.isTranscribing = false;
+            if (error.message === 'Cancelled') {
+                this.emit('cancel');
+                throw error;
+            }
+            this.emit('error', { error });
+            throw error;
+        } finally {
+            this.liveSource = null;
+            if (recorder) recorder.stop();
+            if (source) source.close();
+        }
+    }
+
+    /**
+     * Run Whisper over a live 16kHz stream, re-transcribing the audio that has not settled yet every liveInterval
+     * Every segment but the last is final once Whisper has seen audio after it; a pause in speech (with VAD),
+     * a full window or the end of the stream settles the rest
+     */
+    async transcribeLive(audio, { onProgress, onPartialResult, language = 'en', task = 'transcribe', wordTimestamps = false, prompt = null }) {
+        const windowSize = this.options.chunkLength * SAMPLE_RATE;
+        const interval = this.options.liveInterval * SAMPLE_RATE;
+        const englishOnly = Transcriber.isEnglishOnlyModel(this.options.model);
+        if (englishOnly) language = 'en';
+
+        const toTime = audio.mapTime ? (seconds, isEnd) => audio.mapTime(seconds, isEnd) : seconds => seconds;
+        const toRange = audio.mapRange ? (start, end) => audio.mapRange(start, end) : (start, end) => ({ start, end });
+
+        // Audio that is not final yet, starting bufferStart samples into the stream
+        let buffer = new Float32Array(0);
+        let bufferStart = 0;
+        let transcribed = 0;
+        let ended = false;
+
+        while (!ended || buffer.length) {
+            const block = ended ? null : await audio.read();
+            if (this.isCancelled) throw new Error('Cancelled');
+            if (!block) {
+                ended = true;
+            } else if (block.length) {
+                const joined = new Float32Array(buffer.length + block.length);
+                joined.set(buffer);
+                joined.set(block, buffer.length);
+                buffer = joined;
+            }
+
+            const speech = audio.speech;
+            const paused = Boolean(speech && speech.length && speech[speech.length - 1].end !== null);
+            const settle = ended || paused;
+            const full = buffer.length >= windowSize;
+            if (!buffer.length) continue;
+            // Language detection needs a few seconds of speech to go on
+            if (!settle && !full && (buffer.length - transcribed < interval || (language === 'auto' && buffer.length < 3 * SAMPLE_RATE))) continue;
+
+            const end = Math.min(buffer.length, windowSize);
+            const windowStart = bufferStart / SAMPLE_RATE;
+            const windowEnd = (bufferStart + end) / SAMPLE_RATE;
+
+            let result;
+            try {
+                if (language === 'auto') {
+                    const sample = buffer.slice(0, end);
+                    language = await this.engine.detectLanguage(sample) || 'en';
+                    console.log('Detected language:', language);
+                    this.emit('language', { language });
+                }
+
+                const whisperOptions = englishOnly ? { wordTimestamps, prompt } : { language, task, wordTimestamps, prompt };
+                const chunk = buffer.slice(0, end);
+                result = await this.engine.transcribe(chunk, whisperOptions, { start: windowStart });
+            } catch (pipelineError) {
+                if (this.isCancelled) throw new Error('Cancelled');
+                console.error('Pipeline error:', pipelineError);
+                throw new Error('Transcription failed: ' + pipelineError.message);
+            }
+
+            const segments = Transcriber.windowSegments(result.chunks, windowStart, windowEnd)
+                .filter(segment => segment.text)
+                .map(({ complete, ...segment }) => {
+                    const range = toRange(segment.startTime, Math.min(segment.endTime, windowEnd));
+                    const mapped = { ...segment, startTime: range.start, endTime: range.end };
+                    if (segment.words) {
+                        mapped.words = segment.words.map(word => ({ ...word, start: toTime(word.start), end: toTime(word.end, true) }));
+                    }
+                    // Where the segment starts in the buffer, for cutting it off once it is final
+                    return { segment: mapped, offset: Math.round(segment.startTime * SAMPLE_RATE) - bufferStart };
+                });
+
+            // The last segment may still change as more audio comes in, unless something forces it to settle
+            let keep = settle ? segments.length : Math.max(0, segments.length - 1);
+            let next = keep < segments.length ? segments[keep].offset : (settle ? end : 0);
+            if (!settle && full && next <= 0) {
+                keep = segments.length;
+                next = end;
+            }
+
+            const finalized = segments.slice(0, keep).map(s => s.segment)
+                // Text in the padding around speech is almost always a hallucination ("Thank you.")
+                .filter(segment => !audio.speech || audio.speech.some(region =>
+                    region.start < segment.endTime && (region.end === null || region.end > segment.startTime)));
+            const provisional = segments.slice(keep).map(s => ({ ...s.segment, provisional: true }));
+
+            buffer = buffer.slice(next);
+            bufferStart += next;
+            transcribed = buffer.length;
+
+            this.segments.push(...finalized);
+            const text = this.segments.map(s => s.text).join(' ');
+            const liveText = [text, ...provisional.map(s => s.text)].filter(Boolean).join(' ');
+
+            if (finalized.length) this.emit('result', { text, segments: finalized, isFinal: true });
+            this.emit('result', { text: liveText, segments: provisional, isFinal: false });
+            onPartialResult(liveText, this.segments, provisional);
+
+            const seconds = toTime(bufferStart / SAMPLE_RATE);
+            onProgress({ status: 'listening', message: `Listening... ${Transcriber.formatDuration(audio.time)}`, time: audio.time });
+            this.emit('progress', { processed: seconds, duration: audio.time });
+        }
+
+        return { language, duration: audio.time };
+    }
+
+    /**
+     * Capture a MediaStream's audio with an AudioWorklet as an audio source (see createArraySource())
+     * Blocks queue up while Whisper is busy; stop() ends the source once the queued blocks are read
+     */
+    async openLiveSource(mediaStream) {
+        const context = new AudioContext();
+        await context.audioWorklet.addModule(this.options.captureWorkletUrl);
+        const input = context.createMediaStreamSource(mediaStream);
+        const capture = new AudioWorkletNode(context, 'transcriptify-capture');
+        // The worklet only runs while connected to the output; a muted gain keeps the audio from playing back
+        const mute = context.createGain();
+        mute.gain.value = 0;
+        input.connect(capture).connect(mute).connect(context.destination);
+
+        const blocks = [];
+        let ended = false;
+        let wake = null;
+        const notify = () => {
+            if (wake) wake();
+            wake = null;
+        };
+        const stop = () => {
+            ended = true;
+            notify();
+        };
+        capture.port.onmessage = (e) => {
+            if (ended) return;
+            blocks.push(e.data);
+            notify();
+        };
+        const tracks = mediaStream.getAudioTracks();
+        tracks.forEach(track => track.addEventListener('ended', stop));
+        if (context.state === 'suspended') await context.resume();
+
+        return {
+            duration: null,
+            progress: () => 0,
+            async next() {
+                while (!blocks.length && !ended) await new Promise(resolve => { wake = resolve; });
+                const samples = blocks.shift();
+                return samples ? { samples, sampleRate: context.sampleRate } : null;
+            },
+            stop,
+            close() {
+                stop();
+                tracks.forEach(track => track.removeEventListener('ended', stop));
+                capture.port.onmessage = null;
+                input.disconnect();
+                capture.disconnect();
+                context.close();
+            }
+        };
+    }
+
+    /**
+     * Record a MediaStream's audio as it is captured; stop() resolves to the recording as a Blob
+     * (null where MediaRecorder is missing)
+     */
+    static startRecording(mediaStream) {
+        if (typeof MediaRecorder === 'undefined') {
+            console.warn('MediaRecorder is not supported; the session audio will not be kept');
+            return { stop: async () => null };
+        }
+
+        const recorder = new MediaRecorder(new MediaStream(mediaStream.getAudioTracks()));
+        const chunks = [];
+        recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+        const stopped = new Promise(resolve => {
+            recorder.onstop = () => resolve(new Blob(chunks, { type: recorder.mimeType }));
+        });
+        recorder.start(1000);
+
+        return {
+            // The recorder stops by itself when the tracks end
+            stop() {
+                if (recorder.state !== 'inactive') recorder.stop();
+                return stopped;
+            }
+        };
+    }
+
+    /**
+     * End a live transcription: the audio captured so far is transcribed and transcribeStream() resolves
+     */
+    stop() {
+        if (this.liveSource) this.liveSource.stop();
+    }
+
+    /**
+     * Cancel ongoing transcription
+     * Terminates the engine (the Whisper worker) so inference stops right away; the model is reloaded on the next run
+     */
+    cancel() {
+        if (!this.isTranscribing) return;
+
+        this.isCancelled = true;
+        // A live source would otherwise keep waiting for audio
+        if (this.liveSource) this.liveSource.stop();
+        this.terminateWorker(new Error('Cancelled'));
+    }
+
+    /**
+     * Whisper's chunks for one window as segments on the stream's timeline
+     * `complete` is false for a segment Whisper cut off at the end of the window
+     */
+    static windowSegments(chunks = [], windowStart, windowEnd) {
+        return chunks.map(chunk => {
+            const segment = {
+                text: chunk.text.trim(),
+                startTime: windowStart + (chunk.timestamp[0] || 0),
+                endTime: chunk.timestamp[1] !== null ? windowStart + chunk.timestamp[1] : windowEnd,
+                complete: chunk.timestamp[1] !== null
+            };
+            // Left unset when the engine couldn't score the tokens, so it isn't mistaken for certainty
+            if (chunk.confidence !== undefined) segment.confidence = chunk.confidence;
+            if (chunk.words) {
+                segment.words = chunk.words
+                    .map(word => ({
+                        word: word.text.trim(),
+                        start: windowStart + word.timestamp[0],
+                        end: Math.min(word.timestamp[1] !== null ? windowStart + word.timestamp[1] : segment.endTime, windowEnd),
+                        confidence: word.confidence !== undefined ? word.confidence : segment.confidence
+                    }))
+                    .filter(word => word.word);
+            }
+            return segment;
+        });
+    }
+
+    /**
+     * Reduce locale tags like 'es-ES' to the language code Whisper uses ('es')
+     */
+    static normalizeLanguage(language) {
+        if (!language || language === 'auto') return 'auto';
+        return language.toLowerCase().split(/[-_]/)[0];
+    }
+
+    /**
+     * Whisper checkpoints ending in ".en" are English-only
+     */
+    static isEnglishOnlyModel(model) {
+        return /\.en$/.test(model);
+    }
+
+    /**
+     * Multilingual counterpart of a model, e.g. whisper-tiny.en -> whisper-tiny
+     */
+    static getMultilingualModel(model) {
+        return model.replace(/\.en$/, '');
+    }
+
+    /**
+     * Text to prime Whisper with: the prompt, then the glossary terms as a list (null when both are empty)
+     * Whisper reads it as the transcript so far, so it carries on in that style and with those spellings.
+     */
+    static buildPrompt(prompt, glossary) {
+        const terms = Transcriber.parseGlossary(glossary);
+        const parts = [];
+        if (prompt && prompt.trim()) parts.push(prompt.trim());
+        if (terms.length) parts.push(`${terms.join(', ')}.`);
+        return parts.length ? parts.join(' ') : null;
+    }
+
+    /**
+     * Glossary terms from an array, or a string of them separated by commas or new lines
+     */
+    static parseGlossary(glossary) {
+        return (typeof glossary === 'string' ? glossary.split(/[,\n]/) : glossary || [])
+            .map(term => term.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Mix all channels of an AudioBuffer down to one
+     */
+    static downmix(audioBuffer) {
+        const numChannels = audioBuffer.numberOfChannels;
+        if (numChannels === 1) return audioBuffer.getChannelData(0);
+
+        const mono = new Float32Array(audioBuffer.length);
+        for (let channel = 0; channel < numChannels; channel++) {
+            const channelData = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < mono.length; i++) {
+                mono[i] += channelData[i] / numChannels;
+            }
+        }
+        return mono;
+    }
+
+    /**
+     * Resample mono Float32Array audio with a band-limited (Kaiser-windowed sinc) filter
+     * Output length is round(samples.length * targetRate / sourceRate)
+     */
+    static resample(samples, sourceRate, targetRate, options = {}) {
+        const resampler = Transcriber.createResampler(sourceRate, targetRate, options);
+        const head = resampler.process(samples);
+        const tail = resampler.flush();
+
+        const result = new Float32Array(head.length + tail.length);
+        result.set(head);
+        result.set(tail, head.length);
+        return result;
+    }
+
+    /**
+     * Create a streaming resampler: process() takes consecutive blocks of input and returns
+     * the output samples that are ready; flush() returns the rest once the input has ended
+     */
+    static createResampler(sourceRate, targetRate, { quality = 'medium' } = {}) {
+        const settings = RESAMPLER_QUALITY[quality];
+        if (!settings) {
+            throw new Error(`Unknown resampler quality "${quality}". Use ${Object.keys(RESAMPLER_QUALITY).join(', ')}.`);
+        }
+
+        if (Math.round(sourceRate) === Math.round(targetRate)) {
+            return { process: block => Float32Array.from(block), flush: () => new Float32Array(0) };
+        }
+
+        // Step through the input in exact rational steps of M/L source samples
+        const gcd = (a, b) => b ? gcd(b, a % b) : a;
+        const divisor = gcd(Math.round(sourceRate), Math.round(targetRate));
+        const L = Math.round(targetRate) / divisor;
+        const M = Math.round(sourceRate) / divisor;
+        const { phases, taps, half, kernel } = Transcriber.resamplerKernel(L, M, settings);
+
+        let buffer = new Float32Array(0);
+        let bufferStart = 0;    // input index of buffer[0]
+        let received = 0;       // input samples seen so far
+        let produced = 0;       // output samples returned so far
+
+        // Input sample just before output sample n, and which polyphase filter to use
+        const position = (n) => {
+            const num = n * M;
+            let index = Math.floor(num / L);
+            let phase = phases === L ? num - index * L : Math.round((num - index * L) * phases / L);
+            if (phase === phases) {
+                index++;
+                phase = 0;
+            }
+            return { index, phase };
+        };
+
+        // Produce output up to (not including) sample `until`, reading zeros past the received input
+        const run = (until) => {
+            const out = new Float32Array(Math.max(0, until - produced));
+            for (let i = 0; i < out.length; i++) {
+                const { index, phase } = position(produced + i);
+                const first = index - half + 1 - bufferStart;
+                const offset = phase * taps;
+                let sum = 0;
+                for (let j = Math.max(0, -first); j < taps && first + j < buffer.length; j++) {
+                    sum += buffer[first + j] * kernel[offset + j];
+                }
+                out[i] = sum;
+            }
+            produced += out.length;
+
+            // Drop input that no later output sample can reach
+            const keepFrom = Math.min(received, Math.max(bufferStart, position(produced).index - half + 1));
+            buffer = buffer.subarray(keepFrom - bufferStart);
+            bufferStart = keepFrom;
+            return out;
+        };
+
+        return {
+            process(block) {
+                const joined = new Float32Array(buffer.length + block.length);
+                joined.set(buffer);
+                joined.set(block, buffer.length);
+                buffer = joined;
+                received += block.length;
+
+                // An output sample is ready once every input sample under its kernel has arrived
+                let until = Math.max(produced, Math.ceil((received - half) * L / M));
+                while (until > produced && position(until - 1).index + half >= received) until--;
+                return run(until);
+            },
+            flush() {
+                return run(Math.round(received * L / M));
+            }
+        };
+    }
+
+    /**
+     * Precompute a polyphase table of Kaiser-windowed sinc coefficients for an L/M rate change
+     * Ratios needing more than 1024 phases use the nearest of 1024
+     */
+    static resamplerKernel(L, M, { zeroCrossings, beta, rolloff }) {
+        // Cutoff relative to the input rate, below the output Nyquist frequency when downsampling
+        const cutoff = Math.min(1, L / M) * rolloff;
+        const half = Math.ceil(zeroCrossings / cutoff);
+        const taps = 2 * half;
+        const phases = Math.min(L, 1024);
+
+        // Zeroth-order modified Bessel function, for the Kaiser window
+        const bessel = (x) => {
+            let sum = 1;
+            let term = 1;
+            for (let k = 1; term > sum * 1e-12; k++) {
+                term *= (x / (2 * k)) ** 2;
+                sum += term;
+            }
+            return sum;
+        };
+        const norm = bessel(beta);
+
+        const kernel = new Float32Array(phases * taps);
+        for (let phase = 0; phase < phases; phase++) {
+            for (let j = 0; j < taps; j++) {
+                // Distance from tap j to the output position, in cycles of the cutoff frequency
+                const x = (phase / phases + half - 1 - j) * cutoff;
+                if (Math.abs(x) >= zeroCrossings) continue;
+                const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+                const r = x / zeroCrossings;
+                kernel[phase * taps + j] = cutoff * sinc * bessel(beta * Math.sqrt(1 - r * r)) / norm;
+            }
+        }
+        return { phases, taps, half, kernel };
+    }
+
+    /**
+     * Turn a source of decoded PCM ({ samples, sampleRate } blocks) into a stream of 16kHz blocks
+     * read() resolves to the next Float32Array, or null once the source is exhausted
+     */
+    static createAudioStream(source, quality = 'medium') {
+        if (!RESAMPLER_QUALITY[quality]) quality = 'high';
+        let resampler = null;
+        let sampleRate = null;
+        let done = false;
+        let samplesRead = 0;
+
+        const next = async () => {
+            if (done) return null;
+
+            const block = await source.next();
+            if (!block) {
+                done = true;
+                return resampler ? resampler.flush() : null;
+            }
+
+            let tail = new Float32Array(0);
+            if (block.sampleRate !== sampleRate) {
+                if (resampler) tail = resampler.flush();
+                resampler = Transcriber.createResampler(block.sampleRate, SAMPLE_RATE, { quality });
+                sampleRate = block.sampleRate;
+            }
+            const samples = resampler.process(block.samples);
+            if (!tail.length) return samples;
+
+            const joined = new Float32Array(tail.length + samples.length);
+            joined.set(tail);
+            joined.set(samples, tail.length);
+            return joined;
+        };
+
+        return {
+            get duration() {
+                return source.duration;
+            },
+            // Seconds of audio read so far
+            get time() {
+                return samplesRead / SAMPLE_RATE;
+            },
+            progress: () => source.progress(),
+            async read() {
+                const samples = await next();
+                if (samples) samplesRead += samples.length;
+                return samples;
+            },
+            close() {
+                if (source.close) source.close();
+            }
+        };
+    }
+
+    /**
+     * Wrap a 16kHz stream so read() only returns speech, found with an energy-based voice activity detector
+     * Speech regions keep `padding` of context on each side and are joined end to end; mapTime() converts
+     * times in the joined audio back to the original timeline, and `speech` lists the regions found so far
+     * If the stream itself maps to another timeline (createRangeStream()), times are mapped through it as well
+     */
+    static createVadStream(stream, options = {}) {
+        const settings = { ...DEFAULT_VAD_OPTIONS, ...options };
+        const frameSize = Math.round(settings.frame * SAMPLE_RATE);
+        const padFrames = Math.max(1, Math.round(settings.padding / settings.frame));
+        const hangFrames = Math.max(padFrames, Math.round(settings.minSilence / settings.frame));
+        // The noise floor is the quietest frame of the last few seconds, tracked in half-second blocks
+        const floorBlock = Math.round(0.5 / settings.frame);
+        const floorBlocks = Math.max(1, Math.round(settings.floorWindow / 0.5));
+
+        let carry = new Float32Array(0);
+        let frameIndex = 0;
+        let blockMin = Infinity;
+        const minima = [];
+        let ring = [];
+        let triggered = false;
+        let silentRun = 0;
+        let lastVoiced = 0;
+        let emitted = 0;
+        let ended = false;
+        const speech = [];      // { start, end } in seconds, end null while the region is still open
+        const anchors = [];     // where each region starts: { joined, original } in samples
+        // Seconds in the stream to seconds on the original timeline
+        const outer = stream.mapTime ? (seconds, isEnd) => stream.mapTime(seconds, isEnd) : seconds => seconds;
+
+        // Index of the region a joined-audio sample falls in
+        const regionAt = (sample, isEnd) => {
+            let index = 0;
+            while (index + 1 < anchors.length && (isEnd ? anchors[index + 1].joined < sample : anchors[index + 1].joined <= sample)) index++;
+            return index;
+        };
+
+        const isVoiced = (frame) => {
+            let sum = 0;
+            for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+            const level = 10 * Math.log10(sum / frame.length + 1e-10);
+
+            blockMin = Math.min(blockMin, level);
+            if ((frameIndex + 1) % floorBlock === 0) {
+                minima.push(blockMin);
+                if (minima.length > floorBlocks) minima.shift();
+                blockMin = Infinity;
+            }
+            const floor = Math.min(blockMin, ...minima);
+            return level > settings.minLevel && level > floor + settings.threshold;
+        };
+
+        // Analyse one frame and collect the frames that belong to speech into out
+        const push = (frame, out) => {
+            const voiced = isVoiced(frame);
+            const time = (index) => index * frameSize / SAMPLE_RATE;
+
+            if (!triggered) {
+                ring.push({ frame, voiced, index: frameIndex });
+                if (ring.length > padFrames) ring.shift();
+
+                // Speech starts once most of the padding window is voiced; the window becomes the lead-in
+                if (ring.filter(f => f.voiced).length * 2 > padFrames) {
+                    triggered = true;
+                    silentRun = 0;
+                    anchors.push({ joined: emitted + out.reduce((sum, f) => sum + f.length, 0), original: ring[0].index * frameSize });
+                    speech.push({ start: outer(time(ring.find(f => f.voiced).index)), end: null });
+                    lastVoiced = frameIndex;
+                    out.push(...ring.map(f => f.frame));
+                    ring = [];
+                }
+            } else {
+                out.push(frame);
+                if (voiced) {
+                    silentRun = 0;
+                    lastVoiced = frameIndex;
+                } else if (++silentRun >= hangFrames) {
+                    // The silence kept so far is the region's tail padding
+                    triggered = false;
+                    speech[speech.length - 1].end = outer(time(lastVoiced + 1), true);
+                }
+            }
+            frameIndex++;
+        };
+
+        return {
+            get duration() {
+                return stream.duration;
+            },
+            get time() {
+                return stream.time;
+            },
+            progress: () => stream.progress(),
+            speech,
+            async read() {
+                for (;;) {
+                    if (ended) return null;
+
+                    const block = await stream.read();
+                    const samples = new Float32Array(carry.length + (block ? block.length : 0));
+                    samples.set(carry);
+                    if (block) samples.set(block, carry.length);
+
+                    // Whole frames only; the remainder waits for the next block (or is the last frame)
+                    const usable = block ? samples.length - samples.length % frameSize : samples.length;
+                    const out = [];
+                    for (let i = 0; i < usable; i += frameSize) push(samples.subarray(i, Math.min(i + frameSize, usable)), out);
+                    carry = samples.slice(usable);
+
+                    if (!block) {
+                        ended = true;
+                        if (triggered) speech[speech.length - 1].end = outer((lastVoiced + 1) * frameSize / SAMPLE_RATE, true);
+                    }
+
+                    const length = out.reduce((sum, frame) => sum + frame.length, 0);
+                    if (!length && !ended) continue;
+
+                    const joined = new Float32Array(length);
+                    let position = 0;
+                    for (const frame of out) {
+                        joined.set(frame, position);
+                        position += frame.length;
+                    }
+                    emitted += length;
+                    return length ? joined : null;
+                }
+            },
+            // Joined-audio seconds to seconds in the stream; an end time exactly at a join belongs to the earlier region
+            elapsed(seconds, isEnd = false) {
+                const anchor = anchors[regionAt(seconds * SAMPLE_RATE, isEnd)];
+                return anchor ? (anchor.original + seconds * SAMPLE_RATE - anchor.joined) / SAMPLE_RATE : seconds;
+            },
+            mapTime(seconds, isEnd = false) {
+                return outer(this.elapsed(seconds, isEnd), isEnd);
+            },
+            // Map a span; one that crosses a join is cut back to the region holding most of it,
+            // rather than stretching over the silence that was skipped
+            mapRange(start, end) {
+                const first = regionAt(start * SAMPLE_RATE, false);
+                const last = regionAt(end * SAMPLE_RATE, true);
+                let range = { start, end };
+                if (first !== last) {
+                    const join = anchors[first + 1].joined / SAMPLE_RATE;
+                    const lastStart = anchors[last].joined / SAMPLE_RATE;
+                    range = join - start >= end - lastStart ? { start, end: join } : { start: lastStart, end };
+                }
+                range = { start: this.elapsed(range.start), end: this.elapsed(range.end, true) };
+                return stream.mapRange ? stream.mapRange(range.start, range.end) : range;
+            },
+            close() {
+                stream.close();
+            }
+        };
+    }
+
+    /**
+     * Wrap a 16kHz stream so read() only returns the audio inside the given time ranges, joined end to end
+     * ranges: [{ start, end }] in seconds, end null for "to the end"; reading stops after the last range
+     * time and duration count the selected audio; mapTime() converts times back to the original timeline
+     */
+    static createRangeStream(stream, ranges) {
+        const spans = Transcriber.normalizeRanges(ranges)
+            .map(({ start, end }) => ({ start: Math.round(start * SAMPLE_RATE), end: end === null ? Infinity : Math.round(end * SAMPLE_RATE) }));
+        // Where each range starts in the joined audio
+        let joined = 0;
+        const anchors = spans.map(span => {
+            const anchor = { joined, original: span.start };
+            joined += span.end - span.start;
+            return anchor;
+        });
+        const last = spans[spans.length - 1].end;
+
+        let position = 0;
+        let emitted = 0;
+        let done = false;
+
+        const spanAt = (sample, isEnd) => {
+            let index = 0;
+            while (index + 1 < anchors.length && (isEnd ? anchors[index + 1].joined < sample : anchors[index + 1].joined <= sample)) index++;
+            return index;
+        };
+
+        return {
+            get duration() {
+                const total = stream.duration;
+                if (total === null || total === undefined) return Number.isFinite(joined) ? joined / SAMPLE_RATE : null;
+                const end = total * SAMPLE_RATE;
+                return spans.reduce((sum, span) => sum + Math.max(0, Math.min(span.end, end) - span.start), 0) / SAMPLE_RATE;
+            },
+            get time() {
+                return emitted / SAMPLE_RATE;
+            },
+            progress() {
+                const duration = this.duration;
+                return duration ? Math.min(1, this.time / duration) : stream.progress();
+            },
+            ranges: spans.map(span => ({ start: span.start / SAMPLE_RATE, end: Number.isFinite(span.end) ? span.end / SAMPLE_RATE : null })),
+            async read() {
+                for (;;) {
+                    if (done) return null;
+                    const block = await stream.read();
+                    // Nothing after the last range is needed, so the rest of the file is never decoded
+                    if (!block || position + block.length >= last) done = true;
+                    if (!block) return null;
+
+                    const blockStart = position;
+                    position += block.length;
+                    const parts = [];
+                    for (const span of spans) {
+                        const from = Math.max(span.start, blockStart);
+                        const to = Math.min(span.end, position);
+                        if (from < to) parts.push(block.subarray(from - blockStart, to - blockStart));
+                    }
+                    if (!parts.length) continue;
+
+                    const length = parts.reduce((sum, part) => sum + part.length, 0);
+                    const samples = parts.length === 1 ? parts[0] : new Float32Array(length);
+                    if (parts.length > 1) {
+                        let offset = 0;
+                        for (const part of parts) {
+                            samples.set(part, offset);
+                            offset += part.length;
+                        }
+                    }
+                    emitted += length;
+                    return samples;
+                }
+            },
+            // Joined seconds to original seconds; an end time exactly at a join belongs to the earlier range
+            mapTime(seconds, isEnd = false) {
+                const anchor = anchors[spanAt(seconds * SAMPLE_RATE, isEnd)];
+                return (anchor.original + seconds * SAMPLE_RATE - anchor.joined) / SAMPLE_RATE;
+            },
+            // A span that crosses a join is cut back to the range holding most of it
+            mapRange(start, end) {
+                const first = spanAt(start * SAMPLE_RATE, false);
+                const lastSpan = spanAt(end * SAMPLE_RATE, true);
+                if (first === lastSpan) return { start: this.mapTime(start), end: this.mapTime(end, true) };
+
+                const join = anchors[first + 1].joined / SAMPLE_RATE;
+                const lastStart = anchors[lastSpan].joined / SAMPLE_RATE;
+                return join - start >= end - lastStart
+                    ? { start: this.mapTime(start), end: this.mapTime(join, true) }
+                    : { start: this.mapTime(lastStart), end: this.mapTime(end, true) };
+            },
+            close() {
+                stream.close();
+            }
+        };
+    }
+
+    /**
+     * Sort and merge time ranges ({ start, end } in seconds, end null for "to the end")
+     * Throws on a range that is negative or ends before it starts
+     */
+    static normalizeRanges(ranges) {
+        const sorted = ranges
+            .map(({ start = 0, end = null }) => {
+                if (!(start >= 0) || (end !== null && !(end > start))) {
+                    throw new Error(`Invalid time range ${start}–${end === null ? 'end' : end}: the end must come after the start.`);
+                }
+                return { start, end };
+            })
+            .sort((a, b) => a.start - b.start);
+        if (!sorted.length) throw new Error('No time range given.');
+
+        const merged = [sorted[0]];
+        for (const range of sorted.slice(1)) {
+            const previous = merged[merged.length - 1];
+            if (previous.end === null || range.start <= previous.end) {
+                previous.end = previous.end === null || range.end === null ? null : Math.max(previous.end, range.end);
+            } else {
+                merged.push(range);
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Replace the segments inside start..end with new ones, e.g. from re-transcribing that range
+     * A segment belongs to the range if its midpoint is inside it
+     */
+    static spliceSegments(segments, replacement, start, end) {
+        const outside = segments.filter(segment => {
+            const middle = (segment.startTime + segment.endTime) / 2;
+            return middle < start || middle >= end;
+        });
+        return [...outside, ...replacement].sort((a, b) => a.startTime - b.startTime);
+    }
+
+    /**
+     * Turn speech regions into a map of alternating speech and silence covering 0..duration
+     */
+    static speechMap(speech, duration) {
+        const map = [];
+        let time = 0;
+        for (const { start, end } of speech) {
+            if (start > time) map.push({ start: time, end: start, speech: false });
+            map.push({ start, end: end === null ? duration : end, speech: true });
+            time = end === null ? duration : end;
+        }
+        if (time < duration) map.push({ start: time, end: duration, speech: false });
+        return map;
+    }
+
+    /**
+     * How sure the model was over a transcript, weighted by time: { threshold, average, lowDuration, lowShare, lowSegments }
+     * Words are used where they carry confidence, whole segments elsewhere; lowShare is the fraction
+     * of the transcribed audio below threshold and lowSegments counts segments with anything below it
+     */
+    static confidenceSummary(segments, threshold = 0.6) {
+        let total = 0;
+        let weighted = 0;
+        let lowDuration = 0;
+        let lowSegments = 0;
+
+        for (const segment of segments) {
+            if (segment.confidence === undefined) continue;
+            const spans = segment.words && segment.words.length && segment.words.every(w => w.confidence !== undefined)
+                ? segment.words.map(w => ({ duration: w.end - w.start, confidence: w.confidence }))
+                : [{ duration: segment.endTime - segment.startTime, confidence: segment.confidence }];
+
+            let low = false;
+            for (const { duration, confidence } of spans) {
+                const seconds = Math.max(duration, 0);
+                total += seconds;
+                weighted += seconds * confidence;
+                if (confidence < threshold) {
+                    lowDuration += seconds;
+                    low = true;
+                }
+            }
+            if (low) lowSegments++;
+        }
+
+        return {
+            threshold,
+            average: total > 0 ? weighted / total : null,
+            lowDuration,
+            lowShare: total > 0 ? lowDuration / total : 0,
+            lowSegments
+        };
+    }
+
+    /**
+     * Samples of the window to embed for a segment: padded out to 1.5s around short segments,
+     * which carry too little voice on their own, capped at 10s, and kept inside the window
+     */
+    static embeddingRange(start, end, windowFrom, windowTo) {
+        const minLength = 1.5 * SAMPLE_RATE;
+        const maxLength = 10 * SAMPLE_RATE;
+        let from = Math.round(start * SAMPLE_RATE);
+        let to = Math.min(Math.round(end * SAMPLE_RATE), from + maxLength);
+
+        if (to - from < minLength) {
+            from = Math.round((from + to - minLength) / 2);
+            to = from + minLength;
+        }
+        if (from < windowFrom) {
+            to += windowFrom - from;
+            from = windowFrom;
+        }
+        if (to > windowTo) {
+            from = Math.max(windowFrom, from - (to - windowTo));
+            to = windowTo;
+        }
+        return [from, to];
+    }
+
+    /**
+     * Group speaker embeddings with average-linkage agglomerative clustering on cosine similarity
+     * Merging stops when no two clusters are more similar than `threshold`, or at `speakers` clusters
+     * when the number of speakers is known. Long recordings are clustered on an even sample of
+     * embeddings and every embedding then joins the closest cluster.
+     * Returns a speaker index per embedding, numbered in order of first appearance
+     */
+    static clusterSpeakers(embeddings, { threshold = 0.86, speakers = 0 } = {}) {
+        if (!embeddings.length) return [];
+
+        const vectors = embeddings.map(embedding => {
+            const norm = Math.hypot(...embedding) || 1;
+            return embedding.map(value => value / norm);
+        });
+        const dot = (a, b) => {
+            let sum = 0;
+            for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+            return sum;
+        };
+
+        const count = Math.min(vectors.length, 1000);
+        const sample = Array.from({ length: count }, (_, i) => vectors[Math.floor(i * vectors.length / count)]);
+
+        const similarity = new Float32Array(count * count);
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                similarity[i * count + j] = similarity[j * count + i] = dot(sample[i], sample[j]);
+            }
+        }
+
+        const members = sample.map((_, i) => [i]);
+        const active = new Set(members.keys());
+        // Most similar other cluster for each cluster, refreshed when it may have changed
+        const best = new Int32Array(count);
+        const findBest = (i) => {
+            let bestJ = -1;
+            for (const j of active) {
+                if (j !== i && (bestJ === -1 || similarity[i * count + j] > similarity[i * count + bestJ])) bestJ = j;
+            }
+            best[i] = bestJ;
+        };
+        active.forEach(findBest);
+
+        while (active.size > 1 && (!speakers || active.size > speakers)) {
+            let a = -1;
+            for (const i of active) {
+                if (a === -1 || similarity[i * count + best[i]] > similarity[a * count + best[a]]) a = i;
+            }
+            const b = best[a];
+            if (!speakers && similarity[a * count + b] < threshold) break;
+
+            // Average linkage: the merged cluster's similarity is the size-weighted mean of the two
+            const sizeA = members[a].length;
+            const sizeB = members[b].length;
+            active.delete(b);
+            members[a].push(...members[b]);
+            for (const k of active) {
+                if (k === a) continue;
+                const value = (similarity[a * count + k] * sizeA + similarity[b * count + k] * sizeB) / (sizeA + sizeB);
+                similarity[a * count + k] = similarity[k * count + a] = value;
+            }
+            for (const k of active) {
+                if (k === a || best[k] === a || best[k] === b) findBest(k);
+                else if (similarity[k * count + a] > similarity[k * count + best[k]]) best[k] = a;
+            }
+        }
+
+        const centroids = [...active].map(i => {
+            const centroid = new Float32Array(sample[0].length);
+            members[i].forEach(m => sample[m].forEach((value, d) => { centroid[d] += value; }));
+            return centroid;
+        });
+
+        // Number speakers in the order they first speak
+        const order = new Map();
+        return vectors.map(vector => {
+            let closest = 0;
+            centroids.forEach((centroid, c) => {
+                if (dot(vector, centroid) > dot(vector, centroids[closest])) closest = c;
+            });
+            if (!order.has(closest)) order.set(closest, order.size);
+            return order.get(closest);
+        });
+    }
+
+    /**
+     * Source over mono audio that is already decoded (16kHz unless sampleRate says otherwise)
+     * transcribe() takes a source in place of a file, so audio decoded elsewhere needs no browser APIs
+     */
+    static createArraySource(audioData, sampleRate = SAMPLE_RATE) {
+        const blockSize = sampleRate * 60;
+        let position = 0;
+
+        return {
+            duration: audioData.length / sampleRate,
+            progress: () => audioData.length ? position / audioData.length : 1,
+            async next() {
+                if (position >= audioData.length) return null;
+                const samples = audioData.subarray(position, position + blockSize);
+                position += samples.length;
+                return { samples, sampleRate };
+            }
+        };
+    }
+
+    /**
+     * Source of generated audio: silence with sine tones, which the VAD takes for speech
+     * tones: [{ start, end, frequency = 440, level = 0.1 }] in seconds. Made a second at a time, so even
+     * hours of it use no memory; with a MockEngine it runs transcribe() end to end without a browser.
+     */
+    static createSignalSource({ duration, sampleRate = SAMPLE_RATE, tones = [] }) {
+        const length = Math.round(duration * sampleRate);
+        let position = 0;
+
+        return {
+            duration,
+            progress: () => length ? position / length : 1,
+            async next() {
+                if (position >= length) return null;
+                const samples = new Float32Array(Math.min(sampleRate, length - position));
+                for (const { start, end, frequency = 440, level = 0.1 } of tones) {
+                    const from = Math.max(Math.round(start * sampleRate), position);
+                    const to = Math.min(Math.round(end * sampleRate), position + samples.length);
+                    for (let i = from; i < to; i++) {
+                        samples[i - position] += level * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+                    }
+                }
+                position += samples.length;
+                return { samples, sampleRate };
+            }
+        };
+    }
+
+    /**
+     * True for an audio source ({ next() } resolving to { samples, sampleRate } blocks) rather than a file
+     */
+    static isAudioSource(input) {
+        return Boolean(input) && typeof input.next === 'function';
+    }
+
+    /**
+     * Pick a streaming source for the file's container, or null if it has to be decoded whole
+     */
+    static async openMediaSource(file) {
+        const reader = Transcriber.createByteReader(file);
+        const header = await reader.peek(12);
+        if (header.length < 12) return null;
+
+        if (Transcriber.fourCC(header, 0) === 'RIFF' && Transcriber.fourCC(header, 8) === 'WAVE') {
+            return Transcriber.demuxWAV(reader);
+        }
+        if (typeof AudioDecoder === 'undefined') return null;
+
+        if (Transcriber.fourCC(header, 4) === 'ftyp') {
+            return Transcriber.openDecoder(await Transcriber.demuxMP4(reader));
+        }
+        if (header[0] === 0x1A && header[1] === 0x45 && header[2] === 0xDF && header[3] === 0xA3) {
+            return Transcriber.openDecoder(await Transcriber.demuxWebM(reader));
+        }
+        return null;
+    }
+
+    /**
+     * Sequential reader over a File/Blob that only keeps one slice of it in memory
+     */
+    static createByteReader(blob) {
+        let buffer = new Uint8Array(0);
+        let bufferStart = 0;
+
+        return {
+            size: blob.size,
+            position: 0,
+            // Up to n bytes from the current position, without consuming them
+            async peek(n) {
+                const end = Math.min(this.position + n, blob.size);
+                if (this.position < bufferStart || end > bufferStart + buffer.length) {
+                    const sliceEnd = Math.min(blob.size, Math.max(end, this.position + READ_SIZE));
+                    buffer = new Uint8Array(await blob.slice(this.position, sliceEnd).arrayBuffer());
+                    bufferStart = this.position;
+                }
+                return buffer.subarray(this.position - bufferStart, end - bufferStart);
+            },
+            async read(n) {
+                const bytes = await this.peek(n);
+                this.position += bytes.length;
+                return bytes;
+            },
+            skip(n) {
+                this.position += n;
+            },
+            async readAt(offset, length) {
+                return new Uint8Array(await blob.slice(offset, offset + length).arrayBuffer());
+            }
+        };
+    }
+
+    /**
+     * Source that reads PCM samples straight out of a WAV file
+     */
+    static async demuxWAV(reader) {
+        reader.skip(12);
+
+        let format = null;
+        let dataSize = 0;
+        for (;;) {
+            const header = await reader.read(8);
+            if (header.length < 8) throw new Error('WAV file has no data chunk');
+            const id = Transcriber.fourCC(header, 0);
+            const size = new DataView(header.buffer, header.byteOffset, 8).getUint32(4, true);
+
+            if (id === 'fmt ') {
+                const bytes = await reader.read(size);
+                const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+                format = {
+                    tag: view.getUint16(0, true),
+                    channels: view.getUint16(2, true),
+                    sampleRate: view.getUint32(4, true),
+                    bits: view.getUint16(14, true)
+                };
+                // WAVE_FORMAT_EXTENSIBLE keeps the real format in its sub-format GUID
+                if (format.tag === 0xFFFE && size >= 26) format.tag = view.getUint16(24, true);
+                reader.skip(size & 1);
+            } else if (id === 'data') {
+                // Streaming writers may leave the size at 0 or 0xFFFFFFFF
+                dataSize = size && reader.position + size <= reader.size ? size : reader.size - reader.position;
+                break;
+            } else {
+                reader.skip(size + (size & 1));
+            }
+        }
+
+        const integer = format && format.tag === 1 && [8, 16, 24, 32].includes(format.bits);
+        const float = format && format.tag === 3 && [32, 64].includes(format.bits);
+        if (!integer && !float) throw new Error('Unsupported WAV encoding');
+
+        const { channels, sampleRate, bits } = format;
+        const bytesPerSample = bits / 8;
+        const frameSize = channels * bytesPerSample;
+        const dataStart = reader.position;
+        const dataEnd = dataStart + dataSize - dataSize % frameSize;
+
+        const readSample = (view, offset) => {
+            if (float) return bits === 32 ? view.getFloat32(offset, true) : view.getFloat64(offset, true);
+            if (bits === 8) return (view.getUint8(offset) - 128) / 128;
+            if (bits === 16) return view.getInt16(offset, true) / 32768;
+            if (bits === 24) return ((view.getInt8(offset + 2) << 16) | view.getUint16(offset, true)) / 8388608;
+            return view.getInt32(offset, true) / 2147483648;
+        };
+
+        return {
+            duration: (dataEnd - dataStart) / frameSize / sampleRate,
+            progress: () => dataEnd > dataStart ? (reader.position - dataStart) / (dataEnd - dataStart) : 1,
+            async next() {
+                const length = Math.min(dataEnd - reader.position, READ_SIZE - READ_SIZE % frameSize);
+                if (length <= 0) return null;
+
+                const bytes = await reader.read(length);
+                const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+                const samples = new Float32Array(bytes.length / frameSize);
+                for (let i = 0; i < samples.length; i++) {
+                    let sum = 0;
+                    for (let channel = 0; channel < channels; channel++) {
+                        sum += readSample(view, i * frameSize + channel * bytesPerSample);
+                    }
+                    samples[i] = sum / channels;
+                }
+                return { samples, sampleRate };
+            }
+        };
+    }
+
+    /**
+     * Decode the packets of a demuxed audio track with a WebCodecs AudioDecoder
+     * Packets are fed a batch at a time, so only a little encoded and decoded audio is held at once
+     */
+    static async openDecoder(demuxer) {
+        const { config } = demuxer;
+        const { supported } = await AudioDecoder.isConfigSupported(config);
+        if (!supported) throw new Error(`This browser cannot decode ${config.codec} audio`);
+
+        const decoded = [];
+        let decodeError = null;
+        let wake = null;
+        const notify = () => {
+            if (wake) wake();
+            wake = null;
+        };
+
+        const decoder = new AudioDecoder({
+            output: (audioData) => {
+                decoded.push({ samples: Transcriber.audioDataToMono(audioData), sampleRate: audioData.sampleRate });
+                audioData.close();
+                notify();
+            },
+            error: (error) => {
+                decodeError = error;
+                notify();
+            }
+        });
+        decoder.configure(config);
+        decoder.ondequeue = notify;
+
+        let flushed = false;
+
+        return {
+            duration: demuxer.duration,
+            progress: () => demuxer.progress(),
+            async next() {
+                while (!decoded.length) {
+                    if (decodeError) throw new Error('Failed to decode audio: ' + decodeError.message);
+                    if (flushed) return null;
+
+                    if (decoder.decodeQueueSize > 0) {
+                        await new Promise(resolve => {
+                            wake = resolve;
+                            setTimeout(notify, 50);
+                        });
+                        continue;
+                    }
+
+                    const packets = await demuxer.read();
+                    if (!packets) {
+                        await decoder.flush();
+                        flushed = true;
+                        continue;
+                    }
+                    for (const packet of packets) {
+                        decoder.decode(new EncodedAudioChunk({ type: 'key', ...packet }));
+                    }
+                }
+
+                // Hand over everything decoded so far as one block (at the rate of the first one)
+                const sampleRate = decoded[0].sampleRate;
+                const count = decoded.findIndex(block => block.sampleRate !== sampleRate);
+                const blocks = decoded.splice(0, count === -1 ? decoded.length : count);
+                const samples = new Float32Array(blocks.reduce((sum, block) => sum + block.samples.length, 0));
+                let offset = 0;
+                for (const block of blocks) {
+                    samples.set(block.samples, offset);
+                    offset += block.samples.length;
+                }
+                return { samples, sampleRate };
+            },
+            close() {
+                if (decoder.state !== 'closed') decoder.close();
+            }
+        };
+    }
+
+    /**
+     * Average the channels of a WebCodecs AudioData into one Float32Array
+     */
+    static audioDataToMono(audioData) {
+        const frames = audioData.numberOfFrames;
+        const channels = audioData.numberOfChannels;
+        const mono = new Float32Array(frames);
+        const plane = new Float32Array(frames);
+
+        for (let channel = 0; channel < channels; channel++) {
+            audioData.copyTo(plane, { planeIndex: channel, format: 'f32-planar' });
+            for (let i = 0; i < frames; i++) {
+                mono[i] += plane[i] / channels;
+            }
+        }
+        return mono;
+    }
+
+    /**
+     * Demux the first audio track of an MP4/MOV file into WebCodecs packets
+     * Only the moov box is read up front; sample data is read chunk by chunk as it is needed
+     */
+    static async demuxMP4(reader) {
+        // Find the moov box, which may come before or after the media data
+        let moov = null;
+        for (let position = 0; position < reader.size && !moov;) {
+            const header = await reader.readAt(position, 16);
+            if (header.length < 8) break;
+            const view = new DataView(header.buffer);
+            let size = view.getUint32(0);
+            let headerSize = 8;
+            if (size === 1) {
+                size = Number(view.getBigUint64(8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = reader.size - position;
+            }
+            if (size < headerSize) throw new Error('Corrupt MP4 file');
+
+            if (Transcriber.fourCC(header, 4) === 'moov') {
+                moov = await reader.readAt(position + headerSize, size - headerSize);
+            }
+            position += size;
+        }
+        if (!moov) throw new Error('MP4 file has no moov box');
+
+        const view = new DataView(moov.buffer);
+        const boxes = (start, end) => Transcriber.mp4Boxes(view, start, end);
+        const child = (box, type) => box && boxes(box.start, box.end).find(b => b.type === type);
+
+        // The audio track is the one whose handler is 'soun'
+        const track = boxes(0, moov.length)
+            .filter(box => box.type === 'trak')
+            .map(trak => child(trak, 'mdia'))
+            .find(mdia => {
+                const hdlr = child(mdia, 'hdlr');
+                return hdlr && Transcriber.fourCC(moov, hdlr.start + 4) === 'soun';
+            });
+        if (!track) throw new Error('No audio track found');
+
+        const mdhd = child(track, 'mdhd');
+        const version = view.getUint8(mdhd.start - 4);
+        const timescale = view.getUint32(mdhd.start + (version === 1 ? 16 : 8));
+        const trackDuration = version === 1
+            ? Number(view.getBigUint64(mdhd.start + 20))
+            : view.getUint32(mdhd.start + 12);
+
+        const stbl = child(child(track, 'minf'), 'stbl');
+        const config = Transcriber.mp4AudioConfig(view, child(stbl, 'stsd'));
+
+        const stsz = child(stbl, 'stsz');
+        const stsc = child(stbl, 'stsc');
+        const stts = child(stbl, 'stts');
+        const stco = child(stbl, 'stco') || child(stbl, 'co64');
+        if (!stsz || !stsc || !stts || !stco) throw new Error('Unsupported MP4 sample tables (fragmented file?)');
+
+        const fixedSize = view.getUint32(stsz.start);
+        const sampleCount = view.getUint32(stsz.start + 4);
+        const sampleSize = (i) => fixedSize || view.getUint32(stsz.start + 8 + 4 * i);
+
+        const chunkCount = view.getUint32(stco.start);
+        const chunkOffset = stco.type === 'co64'
+            ? (i) => Number(view.getBigUint64(stco.start + 4 + 8 * i))
+            : (i) => view.getUint32(stco.start + 4 + 4 * i);
+        if (!sampleCount || !chunkCount) throw new Error('Unsupported MP4 sample tables (fragmented file?)');
+
+        // stsc runs: chunks from firstChunk on hold samplesPerChunk samples each
+        const runCount = view.getUint32(stsc.start);
+        const runs = Array.from({ length: runCount }, (_, i) => ({
+            firstChunk: view.getUint32(stsc.start + 4 + 12 * i) - 1,
+            samplesPerChunk: view.getUint32(stsc.start + 8 + 12 * i)
+        }));
+
+        // Walk the stts (sample durations) table alongside the samples
+        const timeEntries = view.getUint32(stts.start);
+        let timeEntry = 0;
+        let timeLeft = timeEntries ? view.getUint32(stts.start + 4) : 0;
+        let time = 0;
+        const nextDuration = () => {
+            while (timeLeft === 0 && timeEntry + 1 < timeEntries) {
+                timeEntry++;
+                timeLeft = view.getUint32(stts.start + 4 + 8 * timeEntry);
+            }
+            timeLeft--;
+            return timeEntries ? view.getUint32(stts.start + 8 + 8 * timeEntry) : 0;
+        };
+
+        let chunk = 0;
+        let run = 0;
+        let sample = 0;
+
+        return {
+            config,
+            duration: trackDuration / timescale,
+            progress: () => sample / sampleCount,
+            async read() {
+                if (chunk >= chunkCount || sample >= sampleCount) return null;
+
+                // Read neighbouring chunks in one slice while they stay within READ_SIZE of each other
+                const spanStart = chunkOffset(chunk);
+                const layout = [];
+                let spanEnd = spanStart;
+                while (chunk < chunkCount && sample < sampleCount) {
+                    while (run + 1 < runs.length && runs[run + 1].firstChunk <= chunk) run++;
+                    const count = Math.min(runs[run].samplesPerChunk, sampleCount - sample);
+                    const offset = chunkOffset(chunk);
+                    let size = 0;
+                    for (let i = 0; i < count; i++) size += sampleSize(sample + i);
+
+                    if (layout.length && (offset < spanStart || offset + size - spanStart > READ_SIZE)) break;
+                    layout.push({ offset, firstSample: sample, count });
+                    spanEnd = Math.max(spanEnd, offset + size);
+                    sample += count;
+                    chunk++;
+                }
+
+                const bytes = await reader.readAt(spanStart, spanEnd - spanStart);
+                const packets = [];
+                for (const { offset, firstSample, count } of layout) {
+                    let position = offset - spanStart;
+                    for (let i = firstSample; i < firstSample + count; i++) {
+                        const size = sampleSize(i);
+                        const duration = nextDuration();
+                        packets.push({
+                            data: bytes.subarray(position, position + size),
+                            timestamp: Math.round(time * 1e6 / timescale),
+                            duration: Math.round(duration * 1e6 / timescale)
+                        });
+                        time += duration;
+                        position += size;
+                    }
+                }
+                return packets;
+            }
+        };
+    }
+
+    /**
+     * List the child boxes between start and end of an MP4 box
+     */
+    static mp4Boxes(view, start, end) {
+        const boxes = [];
+        for (let position = start; position + 8 <= end;) {
+            let size = view.getUint32(position);
+            let headerSize = 8;
+            if (size === 1) {
+                size = Number(view.getBigUint64(position + 8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - position;
+            }
+            if (size < headerSize) break;
+
+            const type = String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + position + 4, 4));
+            // Full boxes in the sample tables start with a version and flags word
+            const fullBox = ['mdhd', 'hdlr', 'stsd', 'stsz', 'stsc', 'stts', 'stco', 'co64', 'esds'].includes(type);
+            boxes.push({ type, start: position + headerSize + (fullBox ? 4 : 0), end: Math.min(position + size, end) });
+            position += size;
+        }
+        return boxes;
+    }
+
+    /**
+     * Build an AudioDecoder config from the first entry of an MP4 stsd box
+     */
+    static mp4AudioConfig(view, stsd) {
+        const entry = Transcriber.mp4Boxes(view, stsd.start + 4, stsd.end)[0];
+        if (!entry) throw new Error('MP4 audio track has no sample description');
+
+        // AudioSampleEntry: 8 bytes of SampleEntry, then version, channel count and 16.16 sample rate
+        const version = view.getUint16(entry.start + 8);
+        const numberOfChannels = view.getUint16(entry.start + 16);
+        const sampleRate = view.getUint32(entry.start + 24) >>> 16;
+        // QuickTime sound descriptions version 1 and 2 have extra fields before the child boxes
+        const childStart = entry.start + 28 + (version === 1 ? 16 : version === 2 ? 36 : 0);
+
+        if (entry.type === '.mp3') return { codec: 'mp3', sampleRate, numberOfChannels };
+        if (entry.type !== 'mp4a') throw new Error(`Unsupported MP4 audio codec "${entry.type}"`);
+
+        // The esds box may sit inside a QuickTime 'wave' box
+        const findEsds = (start, end) => {
+            for (const box of Transcriber.mp4Boxes(view, start, end)) {
+                if (box.type === 'esds') return box;
+                if (box.type === 'wave') return findEsds(box.start, box.end);
+            }
+            return null;
+        };
+        const esds = findEsds(childStart, entry.end);
+        if (!esds) throw new Error('MP4 audio track has no esds box');
+
+        // Walk the MPEG-4 descriptors: ES_Descriptor > DecoderConfigDescriptor > DecoderSpecificInfo
+        let position = esds.start;
+        let objectType = 0;
+        let description = null;
+        while (position < esds.end && !description) {
+            const tag = view.getUint8(position++);
+            let size = 0;
+            for (let i = 0; i < 4; i++) {
+                const byte = view.getUint8(position++);
+                size = (size << 7) | (byte & 0x7F);
+                if (!(byte & 0x80)) break;
+            }
+
+            if (tag === 0x03) {
+                const flags = view.getUint8(position + 2);
+                position += 3;
+                if (flags & 0x80) position += 2;
+                if (flags & 0x40) position += 1 + view.getUint8(position);
+                if (flags & 0x20) position += 2;
+            } else if (tag === 0x04) {
+                objectType = view.getUint8(position);
+                position += 13;
+            } else if (tag === 0x05) {
+                description = new Uint8Array(view.buffer, view.byteOffset + position, size).slice();
+            } else {
+                position += size;
+            }
+        }
+
+        // MPEG-1/2 audio carried in an mp4a entry
+        if (objectType === 0x69 || objectType === 0x6B) return { codec: 'mp3', sampleRate, numberOfChannels };
+        if (!description) throw new Error('MP4 audio track has no AudioSpecificConfig');
+
+        return { codec: Transcriber.aacCodec(description), sampleRate, numberOfChannels, description };
+    }
+
+    /**
+     * Codec string (mp4a.40.x) for an AAC AudioSpecificConfig
+     */
+    static aacCodec(config) {
+        let objectType = config[0] >> 3;
+        if (objectType === 31) objectType = 32 + (((config[0] & 0x07) << 3) | (config[1] >> 5));
+        return `mp4a.40.${objectType}`;
+    }
+
+    /**
+     * Demux the first audio track of a WebM/Matroska file into WebCodecs packets
+     * Elements are read in order as a flat list, so live recordings with unknown-size clusters work too
+     */
+    static async demuxWebM(reader) {
+        const ids = {
+            segment: 0x18538067, info: 0x1549A966, timecodeScale: 0x2AD7B1, duration: 0x4489,
+            tracks: 0x1654AE6B, trackEntry: 0xAE, trackNumber: 0xD7, trackType: 0x83, codecId: 0x86,
+            codecPrivate: 0x63A2, audio: 0xE1, samplingFrequency: 0xB5, channels: 0x9F,
+            cluster: 0x1F43B675, timecode: 0xE7, simpleBlock: 0xA3, blockGroup: 0xA0, block: 0xA1
+        };
+        // Containers whose children we walk into rather than skip
+        const masters = [ids.segment, ids.info, ids.tracks, ids.trackEntry, ids.audio, ids.cluster, ids.blockGroup];
+        const wanted = [ids.timecodeScale, ids.duration, ids.trackNumber, ids.trackType, ids.codecId, ids.codecPrivate,
+            ids.samplingFrequency, ids.channels, ids.timecode, ids.simpleBlock, ids.block];
+
+        let timecodeScale = 1000000;
+        let duration = null;
+        const tracks = [];
+        let clusterTime = 0;
+        let audioTrack = null;
+
+        // Read the next element of interest; returns { id, data } or null at the end of the file
+        const nextElement = async () => {
+            while (reader.position < reader.size) {
+                const header = await reader.peek(12);
+                const id = Transcriber.readVint(header, 0, false);
+                const size = id && Transcriber.readVint(header, id.length, true);
+                if (!id || !size) throw new Error('Corrupt WebM file');
+                reader.skip(id.length + size.length);
+
+                if (masters.includes(id.value)) {
+                    if (id.value === ids.trackEntry) tracks.push({ codecPrivate: null, channels: 1, sampleRate: 8000 });
+                    continue;
+                }
+                if (size.value === -1) throw new Error('Unsupported unknown-size WebM element');
+                if (!wanted.includes(id.value)) {
+                    reader.skip(size.value);
+                    continue;
+                }
+                // Skip video blocks without reading them once the audio track is known
+                if ((id.value === ids.simpleBlock || id.value === ids.block) && audioTrack !== null) {
+                    const track = Transcriber.readVint(await reader.peek(8), 0, true);
+                    if (!track || track.value !== audioTrack) {
+                        reader.skip(size.value);
+                        continue;
+                    }
+                }
+                return { id: id.value, data: await reader.read(size.value) };
+            }
+            return null;
+        };
+
+        const readUint = (data) => data.reduce((value, byte) => value * 256 + byte, 0);
+        const readFloat = (data) => {
+            const view = new DataView(data.buffer, data.byteOffset, data.length);
+            return data.length === 4 ? view.getFloat32(0) : view.getFloat64(0);
+        };
+
+        // Handle one element; returns the audio frames of a block, if it is one
+        const handle = ({ id, data }) => {
+            const track = tracks[tracks.length - 1];
+            if (id === ids.timecodeScale) timecodeScale = readUint(data);
+            else if (id === ids.duration) duration = readFloat(data);
+            else if (id === ids.timecode) clusterTime = readUint(data);
+            else if (id === ids.simpleBlock || id === ids.block) return Transcriber.webmBlockFrames(data, audioTrack, clusterTime);
+            else if (!track) return null;
+            else if (id === ids.trackNumber) track.number = readUint(data);
+            else if (id === ids.trackType) track.type = readUint(data);
+            else if (id === ids.codecId) track.codecId = new TextDecoder().decode(data).replace(/\0+$/, '');
+            else if (id === ids.codecPrivate) track.codecPrivate = data.slice();
+            else if (id === ids.samplingFrequency) track.sampleRate = readFloat(data);
+            else if (id === ids.channels) track.channels = readUint(data);
+            return null;
+        };
+
+        // Read the headers up to the first block, then keep it for read()
+        let pending = null;
+        for (let element = await nextElement(); element; element = await nextElement()) {
+            if (element.id === ids.simpleBlock || element.id === ids.block) {
+                pending = element;
+                break;
+            }
+            handle(element);
+        }
+
+        const track = tracks.find(t => t.type === 2);
+        if (!track) throw new Error('No audio track found');
+        audioTrack = track.number;
+
+        const codecs = { A_OPUS: 'opus', A_VORBIS: 'vorbis', A_FLAC: 'flac', 'A_MPEG/L3': 'mp3' };
+        const codec = track.codecId.startsWith('A_AAC') && track.codecPrivate
+            ? Transcriber.aacCodec(track.codecPrivate)
+            : codecs[track.codecId];
+        if (!codec) throw new Error(`Unsupported WebM audio codec "${track.codecId}"`);
+
+        const config = { codec, sampleRate: Math.round(track.sampleRate), numberOfChannels: track.channels };
+        if (track.codecPrivate) config.description = track.codecPrivate;
+
+        const scale = timecodeScale / 1000;  // block timecodes to microseconds
+
+        return {
+            config,
+            duration: duration !== null ? duration * timecodeScale / 1e9 : null,
+            progress: () => reader.position / reader.size,
+            async read() {
+                const packets = [];
+                let bytes = 0;
+                while (bytes < READ_SIZE / 4) {
+                    const element = pending || await nextElement();
+                    pending = null;
+                    if (!element) break;
+
+                    const frames = handle(element);
+                    if (!frames) continue;
+                    for (const frame of frames) {
+                        packets.push({ data: frame.data, timestamp: Math.round(frame.time * scale) });
+                        bytes += frame.data.length;
+                    }
+                }
+                return packets.length ? packets : null;
+            }
+        };
+    }
+
+    /**
+     * Split a Matroska (Simple)Block into its frames if it belongs to the given track
+     * Handles Xiph, EBML and fixed-size lacing; all frames get the block's timecode
+     */
+    static webmBlockFrames(data, trackNumber, clusterTime) {
+        const track = Transcriber.readVint(data, 0, true);
+        if (!track || track.value !== trackNumber) return null;
+
+        let position = track.length;
+        const time = clusterTime + ((data[position] << 24 >> 16) | data[position + 1]);
+        const lacing = (data[position + 2] >> 1) & 0x03;
+        position += 3;
+
+        if (lacing === 0) return [{ data: data.subarray(position), time }];
+
+        const count = data[position++] + 1;
+        const sizes = [];
+        if (lacing === 1) {
+            // Xiph: each size is a run of 255s plus a final byte
+            for (let i = 0; i < count - 1; i++) {
+                let size = 0;
+                let byte;
+                do {
+                    byte = data[position++];
+                    size += byte;
+                } while (byte === 255);
+                sizes.push(size);
+            }
+        } else if (lacing === 3) {
+            // EBML: the first size, then signed differences from the previous one
+            const first = Transcriber.readVint(data, position, true);
+            sizes.push(first.value);
+            position += first.length;
+            for (let i = 1; i < count - 1; i++) {
+                const diff = Transcriber.readVint(data, position, true);
+                const bias = 2 ** (7 * diff.length - 1) - 1;
+                sizes.push(sizes[i - 1] + diff.value - bias);
+                position += diff.length;
+            }
+        }
+
+        const remaining = data.length - position - sizes.reduce((sum, size) => sum + size, 0);
+        if (lacing === 2) {
+            sizes.push(...Array(count - 1).fill(remaining / count));
+            sizes.push(remaining / count);
+        } else {
+            sizes.push(remaining);
+        }
+
+        return sizes.map(size => {
+            const frame = { data: data.subarray(position, position + size), time };
+            position += size;
+            return frame;
+        });
+    }
+
+    /**
+     * Read an EBML variable-length integer: element IDs keep their length marker, sizes drop it
+     * An all-ones size means "unknown" and is returned as -1
+     */
+    static readVint(bytes, offset, isSize) {
+        const first = bytes[offset];
+        if (!first) return null;
+
+        const length = Math.clz32(first) - 23;
+        if (offset + length > bytes.length) return null;
+
+        let value = isSize ? first & (0xFF >> length) : first;
+        let allOnes = value === (0xFF >> length);
+        for (let i = 1; i < length; i++) {
+            value = value * 256 + bytes[offset + i];
+            if (bytes[offset + i] !== 0xFF) allOnes = false;
+        }
+        return { value: isSize && allOnes ? -1 : value, length };
+    }
+
+    /**
+     * Four ASCII characters starting at offset (box types, RIFF chunk ids)
+     */
+    static fourCC(bytes, offset) {
+        return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+    }
+
+    /**
+     * Re-cut segments into subtitle cues that respect line length, duration and reading speed rules
+     * Cues are split and merged at sentence and clause boundaries where possible, and lines are wrapped.
+     * Timing comes from word timestamps when present, otherwise it is spread over each segment by length.
+     */
+    static resegment(segments, rules = {}) {
+        const opts = { ...DEFAULT_SUBTITLE_RULES, ...rules };
+        const maxChars = opts.maxCharsPerLine * opts.maxLines;
+        const words = Transcriber.segmentWords(segments);
+        const length = (list) => list.reduce((n, w) => n + w.word.length, 0) + Math.max(0, list.length - 1);
+        const fits = (list) => length(list) <= maxChars && list[list.length - 1].end - list[0].start <= opts.maxDuration;
+
+        // 1. Group words into cues, breaking before a word that would overflow a limit
+        const groups = [];
+        let current = [];
+        for (const word of words) {
+            const previous = current[current.length - 1];
+            if (previous && (word.start - previous.end >= opts.maxPause || word.speaker !== previous.speaker)) {
+                groups.push(current);
+                current = [];
+            }
+            while (current.length && !fits([...current, word])) {
+                const splitAt = Transcriber.findCueBreak(current, maxChars, opts);
+                groups.push(current.slice(0, splitAt));
+                current = current.slice(splitAt);
+            }
+            current.push(word);
+
+            // End the cue with the sentence once it has been on screen long enough
+            if (SENTENCE_END.test(word.word) && word.end - current[0].start >= opts.minDuration) {
+                groups.push(current);
+                current = [];
+            }
+        }
+        if (current.length) groups.push(current);
+
+        // 2. Merge cues that are too short to read into a neighbour, if the result still fits
+        for (let i = 0; i < groups.length; i++) {
+            const group = groups[i];
+            if (group[group.length - 1].end - group[0].start >= opts.minDuration) continue;
+
+            // Never merge lines spoken by different people
+            const next = groups[i + 1] && groups[i + 1][0].speaker === group[0].speaker ? groups[i + 1] : null;
+            const prev = groups[i - 1] && groups[i - 1][0].speaker === group[0].speaker ? groups[i - 1] : null;
+            if (next && next[0].start - group[group.length - 1].end < opts.maxPause && fits([...group, ...next])) {
+                groups.splice(i, 2, [...group, ...next]);
+                i--;
+            } else if (prev && group[0].start - prev[prev.length - 1].end < opts.maxPause && fits([...prev, ...group])) {
+                groups.splice(i - 1, 2, [...prev, ...group]);
+                i -= 2;
+            }
+        }
+
+        // 3. Split cues that still read faster than maxCPS once stretched into shorter ones, so less has to be
+        // read at once. The word boundary is the one that slows the faster part down most (one part can use a
+        // pause inside the cue); splits that would leave a part faster than the whole, and single lines, are skipped.
+        const readingSpeed = (list, limit) => {
+            const chars = length(list);
+            const end = Math.min(Math.max(list[list.length - 1].end, list[0].start + chars / opts.maxCPS), limit);
+            return end > list[0].start ? chars / (end - list[0].start) : Infinity;
+        };
+        for (let i = 0; i < groups.length; i++) {
+            const group = groups[i];
+            // Compared without minGap, which every cue loses alike
+            const limit = groups[i + 1] ? groups[i + 1][0].start : Infinity;
+            const speed = readingSpeed(group, limit);
+            if (length(group) <= opts.maxCharsPerLine || speed <= opts.maxCPS) continue;
+
+            let best = null;
+            for (let k = 1; k < group.length; k++) {
+                const parts = [group.slice(0, k), group.slice(k)];
+                const worst = Math.max(readingSpeed(parts[0], parts[1][0].start), readingSpeed(parts[1], limit));
+                if (!best || worst < best.worst) best = { worst, parts };
+            }
+            if (best && best.worst <= speed + 1e-6) {
+                groups.splice(i, 1, ...best.parts);
+                i--;
+            }
+        }
+
+        // 4. Build cues, stretching short or fast ones into the following gap
+        return groups.map((group, i) => {
+            const text = group.map(w => w.word).join(' ');
+            const start = group[0].start;
+            const lastEnd = group[group.length - 1].end;
+            const next = groups[i + 1];
+            const limit = next ? next[0].start - opts.minGap : Infinity;
+            const needed = Math.max(opts.minDuration, text.length / opts.maxCPS);
+
+            let end = Math.min(Math.max(lastEnd, start + needed), limit);
+            if (end <= start) end = next ? Math.min(lastEnd, next[0].start) : lastEnd;
+
+            const cue = {
+                text: Transcriber.wrapLines(text, opts.maxCharsPerLine, opts.maxLines),
+                startTime: start,
+                endTime: end,
+            };
+            const scored = group.filter(w => w.confidence !== undefined);
+            if (scored.length) cue.confidence = scored.reduce((sum, w) => sum + w.confidence, 0) / scored.length;
+            if (group[0].speaker) cue.speaker = group[0].speaker;
+            if (group.every(w => w.timed)) {
+                cue.words = group.map(w => ({ word: w.word, start: w.start, end: w.end, confidence: w.confidence }));
+            }
+            return cue;
+        });
+    }
+
+    /**
+     * Flatten segments into timed words, estimating timing by character count when segments have none
+     */
+    static segmentWords(segments) {
+        const words = [];
+        for (const segment of segments) {
+            const confidence = segment.confidence;
+            const speaker = segment.speaker;
+
+            if (segment.words && segment.words.length) {
+                segment.words.forEach(w => words.push({ ...w, confidence: w.confidence !== undefined ? w.confidence : confidence, speaker, timed: true }));
+                continue;
+            }
+
+            const parts = segment.text.split(/\s+/).filter(Boolean);
+            const totalChars = parts.reduce((n, part) => n + part.length + 1, 0);
+            const duration = segment.endTime - segment.startTime;
+            let time = segment.startTime;
+            for (const part of parts) {
+                const end = time + duration * (part.length + 1) / totalChars;
+                words.push({ word: part, start: time, end, confidence, speaker, timed: false });
+                time = end;
+            }
+        }
+        return words;
+    }
+
+    /**
+     * Pick where to split an overflowing cue: after the last sentence end, else the last clause end,
+     * as long as the first part isn't tiny; otherwise right before the incoming word
+     */
+    static findCueBreak(words, maxChars, opts) {
+        const minLength = maxChars / 3;
+        let length = 0;
+        let sentenceBreak = -1;
+        let clauseBreak = -1;
+
+        words.forEach((w, i) => {
+            length += w.word.length + (i > 0 ? 1 : 0);
+            if (i === words.length - 1) return;
+            const longEnough = length >= minLength || w.end - words[0].start >= opts.minDuration;
+            if (!longEnough) return;
+            if (SENTENCE_END.test(w.word)) sentenceBreak = i + 1;
+            else if (CLAUSE_END.test(w.word)) clauseBreak = i + 1;
+        });
+
+        if (sentenceBreak > 0) return sentenceBreak;
+        if (clauseBreak > 0) return clauseBreak;
+        return words.length;
+    }
+
+    /**
+     * Wrap cue text into at most maxLines lines, balancing two-line cues and preferring punctuation
+     */
+    static wrapLines(text, maxCharsPerLine, maxLines = 2) {
+        if (text.length <= maxCharsPerLine || maxLines < 2) return text;
+
+        const words = text.split(' ');
+
+        if (text.length <= maxCharsPerLine * 2 || maxLines === 2) {
+            let best = null;
+            for (let i = 1; i < words.length; i++) {
+                const first = words.slice(0, i).join(' ');
+                const second = words.slice(i).join(' ');
+                const overflow = Math.max(0, first.length - maxCharsPerLine) + Math.max(0, second.length - maxCharsPerLine);
+                const bonus = SENTENCE_END.test(words[i - 1]) || CLAUSE_END.test(words[i - 1]) ? 6 : 0;
+                const score = overflow * 100 + Math.abs(first.length - second.length) - bonus;
+                if (!best || score < best.score) best = { score, lines: [first, second] };
+            }
+            return best ? best.lines.join('\n') : text;
+        }
+
+        // Longer text: fill lines greedily
+        const lines = [];
+        let line = '';
+        for (const word of words) {
+            if (line && line.length + 1 + word.length > maxCharsPerLine && lines.length < maxLines - 1) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        }
+        lines.push(line);
+        return lines.join('\n');
+    }
+
+    /**
+     * Apply the resegment export option: true for default rules, or an object of rules
+     */
+    static prepareCues(segments, options = {}) {
+        if (!options.resegment) return segments;
+        return Transcriber.resegment(segments, options.resegment === true ? {} : options.resegment);
+    }
+
+    /**
+     * Clean up segment text with post-processing rules, returning new segments; rules run in order:
+     *   { type: 'replace', find, replace, matchCase?, wholeWord? }  literal text; wholeWord defaults to true, and
+     *                                                               without matchCase a lowercase replacement takes
+     *                                                               on the capitalization of what it replaces
+     *   { type: 'regex', pattern, flags?, replace }                 a regular expression ('gi' by default), $1 in replace
+     *   { type: 'profanity', words?, mask? }                        'f***' for DEFAULT_PROFANITY or the given words
+     *   { type: 'fillers', words? }                                 removes DEFAULT_FILLER_WORDS or the given words
+     * Word timing is kept while the words still line up with the text; segments left empty are dropped.
+     */
+    static applyRules(segments, rules = []) {
+        const steps = rules.map(rule => Transcriber.compileRule(rule));
+        const cleaned = [];
+        for (const original of segments) {
+            const segment = { ...original, text: original.text.trim() };
+            if (original.words) segment.words = original.words.map(word => ({ ...word }));
+            for (const step of steps) step(segment);
+            if (segment.text) cleaned.push(segment);
+        }
+        return cleaned;
+    }
+
+    /**
+     * Turn a rule (see applyRules) into a function that updates a segment in place
+     */
+    static compileRule(rule) {
+        const setText = (segment, text) => TranscriptEditor.updateText(segment, text.replace(/\s+/g, ' ').trim());
+        const wordPattern = (words) => new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.map(Transcriber.escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+        if (rule.type === 'replace') {
+            if (!rule.find) throw new Error('A replace rule needs text to find.');
+            const replace = rule.replace || '';
+            const wholeWord = rule.wholeWord !== false;
+            const before = wholeWord && /^[\p{L}\p{N}]/u.test(rule.find) ? '(?<![\\p{L}\\p{N}])' : '';
+            const after = wholeWord && /[\p{L}\p{N}]$/u.test(rule.find) ? '(?![\\p{L}\\p{N}])' : '';
+            const pattern = new RegExp(before + Transcriber.escapeRegExp(rule.find) + after, rule.matchCase ? 'gu' : 'giu');
+            const adapt = !rule.matchCase && replace === replace.toLowerCase();
+            return segment => setText(segment, segment.text.replace(pattern, (match) => {
+                if (!adapt) return replace;
+                if (match.length > 1 && match === match.toUpperCase() && match !== match.toLowerCase()) return replace.toUpperCase();
+                return /^\p{Lu}/u.test(match) ? replace.charAt(0).toUpperCase() + replace.slice(1) : replace;
+            }));
+        }
+
+        if (rule.type === 'regex') {
+            let pattern;
+            try {
+                const flags = rule.flags !== undefined ? rule.flags : 'gi';
+                pattern = new RegExp(rule.pattern, flags.includes('g') ? flags : flags + 'g');
+            } catch (error) {
+                throw new Error(`Invalid rule pattern "${rule.pattern}": ${error.message}`);
+            }
+            return segment => setText(segment, segment.text.replace(pattern, rule.replace || ''));
+        }
+
+        if (rule.type === 'profanity') {
+            const pattern = wordPattern(rule.words || DEFAULT_PROFANITY);
+            const mask = rule.mask || '*';
+            return segment => setText(segment, segment.text.replace(pattern, (match) => match.charAt(0) + mask.repeat(match.length - 1)));
+        }
+
+        if (rule.type === 'fillers') {
+            const fillers = new Set((rule.words || DEFAULT_FILLER_WORDS).map(word => word.toLowerCase()));
+            return segment => Transcriber.removeFillers(segment, fillers);
+        }
+
+        throw new Error(`Unknown rule type "${rule.type}". Use replace, regex, profanity or fillers.`);
+    }
+
+    /**
+     * Drop filler words from a segment, along with their commas
+     * A filler that ends a sentence hands its full stop to the word before, one that starts a sentence its capital
+     * to the word after. Word timing goes with the words, so a filler's time becomes a gap.
+     */
+    static removeFillers(segment, fillers) {
+        const parts = segment.text.split(/\s+/).filter(Boolean);
+        const aligned = Boolean(segment.words) && segment.words.length === parts.length;
+        const kept = [];
+        const words = [];
+        let capitalize = false;
+
+        parts.forEach((part, i) => {
+            const bare = part.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').toLowerCase();
+            if (!fillers.has(bare)) {
+                kept.push(capitalize ? part.replace(/^([^\p{L}\p{N}]*)(\p{Ll})/u, (match, lead, letter) => lead + letter.toUpperCase()) : part);
+                if (aligned) words.push(segment.words[i]);
+                capitalize = false;
+                return;
+            }
+
+            const stop = /[.!?…]+["'”’)\]]*$/.exec(part);
+            if (stop && kept.length && !SENTENCE_END.test(kept[kept.length - 1])) {
+                kept[kept.length - 1] = kept[kept.length - 1].replace(/[,;:–—]+$/, '') + stop[0];
+            }
+            if (/^[^\p{L}\p{N}]*\p{Lu}/u.test(part) && (!kept.length || SENTENCE_END.test(kept[kept.length - 1]))) {
+                capitalize = true;
+            }
+        });
+
+        segment.text = kept.join(' ');
+        if (aligned) {
+            segment.words = words.map((word, i) => ({ ...word, word: kept[i] }));
+        } else {
+            delete segment.words;
+        }
+    }
+
+    /**
+     * Escape text for use as a literal in a regular expression
+     */
+    static escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Split a transcript into chapters where the topic shifts or the speaker pauses
+     * Each gap between segments is scored by how different the words in the window before and after it
+     * are, plus how long the pause is; the clearest breaks at least minDuration apart become chapters.
+     * Returns [{ start, end, title, keywords }] covering the whole transcript, the first starting at 0.
+     */
+    static detectChapters(segments, options = {}) {
+        const opts = { ...DEFAULT_CHAPTER_OPTIONS, ...options };
+        const spoken = segments.filter(segment => segment.text.trim());
+        if (!spoken.length) return [];
+
+        const words = spoken.map(segment => Transcriber.contentWords(segment.text));
+        const counts = (from, to) => {
+            const terms = new Map();
+            spoken.forEach((segment, i) => {
+                if (segment.startTime < from || segment.startTime >= to) return;
+                words[i].forEach(({ term }) => terms.set(term, (terms.get(term) || 0) + 1));
+            });
+            return terms;
+        };
+
+        const end = spoken[spoken.length - 1].endTime;
+        const candidates = [];
+        for (let i = 1; i < spoken.length; i++) {
+            const time = spoken[i].startTime;
+            if (time < opts.minDuration || end - time < opts.minDuration) continue;
+
+            const similarity = Transcriber.cosineSimilarity(counts(time - opts.window, time), counts(time, time + opts.window));
+            const pause = Math.min(Math.max(0, time - spoken[i - 1].endTime) / opts.pause, 1);
+            candidates.push({ index: i, time, score: 0.7 * (1 - similarity) + 0.3 * pause });
+        }
+
+        // Only gaps that stand out from the rest are breaks
+        const breaks = [];
+        if (candidates.length) {
+            const mean = candidates.reduce((sum, c) => sum + c.score, 0) / candidates.length;
+            const deviation = Math.sqrt(candidates.reduce((sum, c) => sum + (c.score - mean) ** 2, 0) / candidates.length);
+            const cutoff = mean + deviation / 2;
+            [...candidates].sort((a, b) => b.score - a.score).forEach(candidate => {
+                if (candidate.score < cutoff || breaks.length >= opts.maxChapters - 1) return;
+                if (breaks.some(b => Math.abs(b.time - candidate.time) < opts.minDuration)) return;
+                breaks.push(candidate);
+            });
+            breaks.sort((a, b) => a.index - b.index);
+        }
+
+        const firsts = [0, ...breaks.map(b => b.index)];
+        const lasts = [...firsts.slice(1), spoken.length];
+        const titles = Transcriber.chapterTerms(firsts.map((first, k) => words.slice(first, lasts[k]).flat()));
+
+        return firsts.map((first, k) => ({
+            start: k === 0 ? 0 : spoken[first].startTime,
+            end: k + 1 < firsts.length ? spoken[lasts[k]].startTime : end,
+            title: titles[k].length ? Transcriber.chapterTitle(titles[k]) : `Chapter ${k + 1}`,
+            keywords: titles[k]
+        }));
+    }
+
+    /**
+     * Up to five words per chapter that it uses often and the other chapters rarely
+     * chapters is a list of contentWords() arrays; returns the words as they are usually written
+     */
+    static chapterTerms(chapters) {
+        const stats = chapters.map(words => Transcriber.termStats([words]));
+        const spread = new Map();
+        stats.forEach(terms => terms.forEach((_, term) => spread.set(term, (spread.get(term) || 0) + 1)));
+
+        return stats.map(terms => [...terms.entries()]
+            .filter(([, stat]) => stat.count >= 2)
+            .map(([term, stat]) => ({ stat, score: stat.count * Math.log(1 + chapters.length / spread.get(term)) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 5)
+            .map(({ stat }) => stat.word));
+    }
+
+    /**
+     * Title a chapter with its first three keywords: "Pricing, plans and discounts"
+     */
+    static chapterTitle(keywords) {
+        const top = keywords.slice(0, 3);
+        const title = top.length > 1 ? `${top.slice(0, -1).join(', ')} and ${top[top.length - 1]}` : top[0];
+        return title.charAt(0).toUpperCase() + title.slice(1);
+    }
+
+    /**
+     * The words a transcript is about: used often, but not evenly everywhere
+     * Returns up to options.count (20) of { word, count, times }, times being the start of each segment using it.
+     */
+    static keywords(segments, options = {}) {
+        const count = options.count || 20;
+        const spoken = segments.filter(segment => segment.text.trim());
+        const terms = Transcriber.termStats(spoken.map(segment => Transcriber.contentWords(segment.text)));
+
+        return [...terms.values()]
+            .filter(stat => stat.count >= 2)
+            .map(stat => ({ stat, score: stat.count * Math.log(1 + spoken.length / stat.segments.size) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, count)
+            .map(({ stat }) => ({
+                word: stat.word,
+                count: stat.count,
+                times: [...stat.segments].map(i => spoken[i].startTime)
+            }));
+    }
+
+    /**
+     * Count terms across lists of contentWords(): term -> { word, count, segments }
+     * word is the most used spelling, lowercase when the word is ever written that way,
+     * so a word capitalized at the start of a sentence does not turn into a name.
+     */
+    static termStats(lists) {
+        const terms = new Map();
+        lists.forEach((words, index) => words.forEach(({ term, form }) => {
+            if (!terms.has(term)) terms.set(term, { count: 0, forms: new Map(), segments: new Set() });
+            const stat = terms.get(term);
+            stat.count++;
+            stat.forms.set(form, (stat.forms.get(form) || 0) + 1);
+            stat.segments.add(index);
+        }));
+
+        terms.forEach(stat => {
+            const forms = [...stat.forms.entries()].sort((a, b) => b[1] - a[1]);
+            const lower = forms.find(([form]) => form === form.toLowerCase());
+            stat.word = (lower || forms[0])[0];
+        });
+        return terms;
+    }
+
+    /**
+     * The words of a text worth indexing, as { term, form }: form as written, term a lowercase stem
+     * so "price", "prices" and "pricing" count as one. Stopwords, contractions and numbers are left out.
+     */
+    static contentWords(text) {
+        const words = [];
+        for (const [match] of text.matchAll(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu)) {
+            const form = match.replace(/['’]s$/i, '');
+            const lower = form.toLowerCase();
+            if (lower.length < 3 || /['’]/.test(lower) || /^\p{N}+$/u.test(lower) || STOPWORDS.has(lower)) continue;
+            words.push({ term: Transcriber.stem(lower), form });
+        }
+        return words;
+    }
+
+    /**
+     * Crude English stemmer: enough to group plurals and -ing/-ed forms, not to be correct
+     */
+    static stem(word) {
+        let stem = word;
+        if (stem.length > 4 && stem.endsWith('ies')) stem = stem.slice(0, -3) + 'y';
+        else if (stem.length > 5 && stem.endsWith('ing')) stem = stem.slice(0, -3);
+        else if (stem.length > 4 && stem.endsWith('ed')) stem = stem.slice(0, -2);
+        else if (stem.length > 3 && stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) stem = stem.slice(0, -1);
+        return stem.length > 4 ? stem.replace(/e$/, '') : stem;
+    }
+
+    /**
+     * Cosine similarity of two term -> count maps, 0 when either is empty
+     */
+    static cosineSimilarity(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        a.forEach((count, term) => {
+            normA += count * count;
+            if (b.has(term)) dot += count * b.get(term);
+        });
+        b.forEach(count => { normB += count * count; });
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    /**
+     * Convert segments to SRT format
+     * Pass { resegment: true | rules } to re-cut them with resegment() first
+     */
+    static toSRT(segments, options = {}) {
+        return Transcriber.prepareCues(segments, options).map((segment, index) => {
+            const startTime = Transcriber.formatTimeSRT(segment.startTime);
+            const endTime = Transcriber.formatTimeSRT(segment.endTime);
+            return `${index + 1}\n${startTime} --> ${endTime}\n${Transcriber.speakerPrefix(segment)}${segment.text}\n`;
+        }).join('\n');
+    }
+
+    /**
+     * Convert segments to WebVTT format
+     * Pass { resegment: true | rules } to re-cut them with resegment() first
+     */
+    static toVTT(segments, options = {}) {
+        const lines = ['WEBVTT\n'];
+        Transcriber.prepareCues(segments, options).forEach((segment, index) => {
+            const startTime = Transcriber.formatTimeVTT(segment.startTime);
+            const endTime = Transcriber.formatTimeVTT(segment.endTime);
+            lines.push(`${index + 1}`);
+            lines.push(`${startTime} --> ${endTime}`);
+            lines.push(Transcriber.voiceTag(segment) + Transcriber.escapeVTT(segment.text));
+            lines.push('');
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Convert segments to WebVTT with inline word timestamps for karaoke-style highlighting
+     * Segments without word timing are written as plain cues
+     */
+    static toKaraokeVTT(segments, options = {}) {
+        const lines = ['WEBVTT\n'];
+        Transcriber.prepareCues(segments, options).forEach((segment, index) => {
+            const startTime = Transcriber.formatTimeVTT(segment.startTime);
+            const endTime = Transcriber.formatTimeVTT(segment.endTime);
+            lines.push(`${index + 1}`);
+            lines.push(`${startTime} --> ${endTime}`);
+
+            if (segment.words && segment.words.length) {
+                // The first word starts with the cue; each later word gets a timestamp tag
+                const lineStarts = Transcriber.lineStarts(segment);
+                lines.push(Transcriber.voiceTag(segment) + segment.words.map((word, i) => {
+                    const text = Transcriber.escapeVTT(word.word);
+                    if (i === 0) return text;
+                    const separator = lineStarts.has(i) ? '\n' : ' ';
+                    return `${separator}<${Transcriber.formatTimeVTT(Math.max(word.start, segment.startTime))}>${text}`;
+                }).join(''));
+            } else {
+                lines.push(Transcriber.voiceTag(segment) + Transcriber.escapeVTT(segment.text));
+            }
+            lines.push('');
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Convert segments to an Advanced SubStation Alpha (.ass) script
+     * Word timing becomes \k karaoke tags unless options.karaoke is false
+     */
+    static toASS(segments, options = {}) {
+        const karaoke = options.karaoke !== false;
+        const title = options.title || 'Transcriptify';
+
+        const header = [
+            '[Script Info]',
+            `Title: ${title}`,
+            'ScriptType: v4.00+',
+            'WrapStyle: 0',
+            'ScaledBorderAndShadow: yes',
+            'PlayResX: 1920',
+            'PlayResY: 1080',
+            '',
+            '[V4+ Styles]',
+            'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+            // Karaoke fills from SecondaryColour to PrimaryColour as each word is sung
+            'Style: Default,Arial,64,&H00FFFFFF,&H0000FFFF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,3,1,2,60,60,50,1',
+            '',
+            '[Events]',
+            'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+        ];
+
+        const events = Transcriber.prepareCues(segments, options).map(segment => {
+            const start = Transcriber.formatTimeASS(segment.startTime);
+            const end = Transcriber.formatTimeASS(segment.endTime);
+            const name = Transcriber.escapeASS(segment.speaker || '').replace(/,/g, ' ');
+            return `Dialogue: 0,${start},${end},Default,${name},0,0,0,,${Transcriber.subStationText(segment, karaoke)}`;
+        });
+
+        return header.concat(events).join('\n') + '\n';
+    }
+
+    /**
+     * Convert segments to a SubStation Alpha v4 (.ssa) script, for players that predate ASS
+     */
+    static toSSA(segments, options = {}) {
+        const karaoke = options.karaoke !== false;
+        const title = options.title || 'Transcriptify';
+
+        const header = [
+            '[Script Info]',
+            `Title: ${title}`,
+            'ScriptType: v4.00',
+            'PlayResX: 1920',
+            'PlayResY: 1080',
+            '',
+            '[V4 Styles]',
+            'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, TertiaryColour, BackColour, Bold, Italic, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, AlphaLevel, Encoding',
+            // SSA colours are decimal BGR: white text, yellow before a karaoke word is sung
+            'Style: Default,Arial,64,16777215,65535,0,0,0,0,1,3,1,2,60,60,50,0,1',
+            '',
+            '[Events]',
+            'Format: Marked, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+        ];
+
+        const events = Transcriber.prepareCues(segments, options).map(segment => {
+            const start = Transcriber.formatTimeASS(segment.startTime);
+            const end = Transcriber.formatTimeASS(segment.endTime);
+            const name = Transcriber.escapeASS(segment.speaker || '').replace(/,/g, ' ');
+            return `Dialogue: Marked=0,${start},${end},Default,${name},0000,0000,0000,,${Transcriber.subStationText(segment, karaoke)}`;
+        });
+
+        return header.concat(events).join('\n') + '\n';
+    }
+
+    /**
+     * Dialogue text for ASS/SSA, with \k karaoke tags when the segment has word timing
+     */
+    static subStationText(segment, karaoke) {
+        if (!karaoke || !segment.words || !segment.words.length) {
+            return Transcriber.escapeASS(segment.text);
+        }
+
+        const parts = [];
+        // Lead-in silence before the first word
+        const leadIn = Math.round((segment.words[0].start - segment.startTime) * 100);
+        if (leadIn > 0) parts.push(`{\\k${leadIn}}`);
+
+        const lineStarts = Transcriber.lineStarts(segment);
+        segment.words.forEach((word, i) => {
+            // Each word holds until the next one starts, so gaps are covered
+            const until = i + 1 < segment.words.length ? segment.words[i + 1].start : Math.max(word.end, segment.endTime);
+            const duration = Math.max(0, Math.round((until - word.start) * 100));
+            if (i > 0) parts.push(lineStarts.has(i) ? '\\N' : ' ');
+            parts.push(`{\\k${duration}}${Transcriber.escapeASS(word.word)}`);
+        });
+        return parts.join('');
+    }
+
+    /**
+     * Convert segments to TTML (also delivered as DFXP)
+     */
+    static toTTML(segments, options = {}) {
+        const lang = options.language && options.language !== 'auto' ? options.language : 'en';
+        const cues = Transcriber.prepareCues(segments, options).map(segment => {
+            const begin = Transcriber.formatTimeVTT(segment.startTime);
+            const end = Transcriber.formatTimeVTT(segment.endTime);
+            const text = segment.text.split('\n').map(Transcriber.escapeXML).join('<br/>');
+            return `      <p begin="${begin}" end="${end}">${text}</p>`;
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling" xml:lang="${Transcriber.escapeXML(lang)}">`,
+            '  <head>',
+            '    <styling>',
+            '      <style xml:id="default" tts:textAlign="center" tts:color="white"/>',
+            '    </styling>',
+            '  </head>',
+            '  <body style="default">',
+            '    <div>',
+            ...cues,
+            '    </div>',
+            '  </body>',
+            '</tt>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Convert segments to YouTube's SubViewer (.sbv) format
+     */
+    static toSBV(segments, options = {}) {
+        return Transcriber.prepareCues(segments, options).map(segment => {
+            const start = Transcriber.formatTimeSBV(segment.startTime);
+            const end = Transcriber.formatTimeSBV(segment.endTime);
+            return `${start},${end}\n${Transcriber.speakerPrefix(segment)}${segment.text}\n`;
+        }).join('\n');
+    }
+
+    /**
+     * Convert segments to CSV with times in seconds
+     */
+    static toCSV(segments) {
+        const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+        // A speaker column is added when the segments have been diarized
+        const speakers = segments.some(segment => segment.speaker);
+        const rows = segments.map(segment => {
+            const row = [
+                segment.startTime.toFixed(3),
+                segment.endTime.toFixed(3),
+                quote(segment.text),
+                segment.confidence !== undefined ? segment.confidence.toFixed(3) : ''
+            ];
+            if (speakers) row.push(quote(segment.speaker || ''));
+            return row.join(',');
+        });
+        const header = speakers ? 'start,end,text,confidence,speaker' : 'start,end,text,confidence';
+        return [header, ...rows].join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Plain transcript text; once speakers are labelled, one line per speaker turn
+     */
+    static toText(result) {
+        if (!result.segments || !result.segments.some(segment => segment.speaker)) return result.text;
+
+        const turns = [];
+        result.segments.forEach(segment => {
+            const text = segment.text.replace(/\n/g, ' ');
+            const last = turns[turns.length - 1];
+            if (last && last.speaker === segment.speaker) last.text += ' ' + text;
+            else turns.push({ speaker: segment.speaker, text });
+        });
+        return turns.map(turn => Transcriber.speakerPrefix(turn) + turn.text).join('\n') + '\n';
+    }
+
+    /**
+     * "[Speaker 1] " label for plain-text formats, or nothing for unlabelled segments
+     */
+    static speakerPrefix(segment) {
+        return segment.speaker ? `[${segment.speaker}] ` : '';
+    }
+
+    /**
+     * WebVTT voice span opening tag (<v Speaker 1>), or nothing for unlabelled segments
+     */
+    static voiceTag(segment) {
+        return segment.speaker ? `<v ${Transcriber.escapeVTT(segment.speaker)}>` : '';
+    }
+
+    /**
+     * Convert a result to a readable Markdown document with timestamps
+     */
+    static toMarkdown(result, options = {}) {
+        const lines = [`# ${options.title || 'Transcript'}`, ''];
+
+        const details = [];
+        if (result.language) details.push(`Language: ${result.language}`);
+        if (result.duration) details.push(`Duration: ${Transcriber.formatDuration(result.duration)}`);
+        if (result.model) details.push(`Model: ${result.model}`);
+        if (details.length) lines.push(`_${details.join(' · ')}_`, '');
+
+        if (result.segments.length) {
+            result.segments.forEach(segment => {
+                const speaker = segment.speaker ? `**${segment.speaker}:** ` : '';
+                lines.push(`**[${Transcriber.formatTimeDisplay(segment.startTime)}]** ${speaker}${segment.text.replace(/\n/g, ' ')}`, '');
+            });
+        } else {
+            lines.push(result.text, '');
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Chapter list for a YouTube video description, one "0:00 Title" per line
+     * YouTube shows chapters when there are at least three, the first at 0:00, each 10 seconds or longer.
+     */
+    static toYouTubeChapters(chapters) {
+        return chapters.map(chapter => `${Transcriber.formatTimeChapter(chapter.start)} ${chapter.title}\n`).join('');
+    }
+
+    /**
+     * Chapters as a WebVTT chapter track, for <track kind="chapters">
+     */
+    static toChapterVTT(chapters) {
+        const lines = ['WEBVTT\n'];
+        chapters.forEach((chapter, index) => {
+            const startTime = Transcriber.formatTimeVTT(chapter.start);
+            const endTime = Transcriber.formatTimeVTT(chapter.end);
+            lines.push(`${index + 1}\n${startTime} --> ${endTime}\n${Transcriber.escapeVTT(chapter.title)}\n`);
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * A result's chapters: its own if it has them, detected with detectChapters() otherwise
+     */
+    static resultChapters(result) {
+        return result.chapters || Transcriber.detectChapters(result.segments);
+    }
+
+    /**
+     * Convert a result to a self-contained HTML page: chapters, keywords, search and timestamps,
+     * with a player for options.media (a URL, by default options.source) that follows along.
+     * Saved next to the media file, the page plays it; every segment can be linked to as page.html#s12.
+     */
+    static toHTML(result, options = {}) {
+        const escape = Transcriber.escapeXML;
+        const title = options.title || 'Transcript';
+        const media = options.media !== undefined ? options.media : options.source;
+        const segments = result.segments.filter(segment => segment.text.trim());
+        const chapters = Transcriber.resultChapters(result);
+        const keywords = Transcriber.keywords(segments, { count: 15 });
+        const time = (seconds, href) =>
+            `<a class="time" href="#${href}" data-time="${seconds.toFixed(2)}">${Transcriber.formatTimeChapter(seconds)}</a>`;
+
+        const details = [];
+        if (result.language) details.push(`Language: ${result.language}`);
+        if (result.duration) details.push(`Duration: ${Transcriber.formatDuration(result.duration)}`);
+        if (result.model) details.push(`Model: ${result.model}`);
+
+        const player = !media ? ''
+            : /\.(mp3|m4a|aac|wav|ogg|oga|opus|flac)$/i.test(media)
+                ? `<audio id="media" src="${escape(media)}" controls preload="metadata"></audio>`
+                : `<video id="media" src="${escape(media)}" controls preload="metadata"></video>`;
+
+        const body = [];
+        if (!chapters.length) body.push(`<p>${escape(result.text)}</p>`);
+        chapters.forEach((chapter, k) => {
+            const next = chapters[k + 1];
+            body.push(`<section>`, `<h2 id="chapter-${k + 1}">${time(chapter.start, `chapter-${k + 1}`)} ${escape(chapter.title)}</h2>`);
+            segments.forEach((segment, i) => {
+                if (segment.startTime < chapter.start || (next && segment.startTime >= next.start)) return;
+                const speaker = segment.speaker ? `<b class="speaker">${escape(segment.speaker)}:</b> ` : '';
+                body.push(`<p id="s${i + 1}" data-start="${segment.startTime.toFixed(2)}" data-end="${segment.endTime.toFixed(2)}">` +
+                    `${time(segment.startTime, `s${i + 1}`)} ${speaker}<span class="text">${escape(segment.text.replace(/\n/g, ' '))}</span></p>`);
+            });
+            body.push('</section>');
+        });
+
+        return [
+            '<!DOCTYPE html>',
+            `<html lang="${escape(result.language || 'en')}">`,
+            '<head>',
+            '<meta charset="UTF-8">',
+            '<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+            `<title>${escape(title)}</title>`,
+            '<style>',
+            'body { font: 16px/1.6 system-ui, sans-serif; color: #222; max-width: 50rem; margin: 0 auto; padding: 1rem; }',
+            'header { position: sticky; top: 0; background: #fff; padding-bottom: 0.5rem; border-bottom: 1px solid #ddd; }',
+            'h1 { margin: 0.5rem 0; font-size: 1.5rem; } h2 { font-size: 1.15rem; margin: 2rem 0 0.5rem; }',
+            'video, audio { width: 100%; max-height: 40vh; } video { background: #000; }',
+            '.meta, .count { color: #666; font-size: 0.875rem; }',
+            'input { font: inherit; padding: 0.3rem 0.5rem; width: 16rem; max-width: 60%; }',
+            'nav ol { padding-left: 1.5rem; } .keywords { display: flex; flex-wrap: wrap; gap: 0.4rem; margin: 0.5rem 0; padding: 0; list-style: none; }',
+            '.keywords button { font: inherit; font-size: 0.8rem; border: 1px solid #ccc; border-radius: 1rem; background: #f6f6f6; padding: 0.1rem 0.6rem; cursor: pointer; }',
+            '.time { color: #666; font-size: 0.8rem; font-variant-numeric: tabular-nums; text-decoration: none; margin-right: 0.5rem; }',
+            'main p { margin: 0.25rem 0; padding: 0.2rem 0.4rem; border-radius: 4px; scroll-margin-top: 40vh; }',
+            'main p.current { background: #eef4ff; } main p:target { background: #fff6d6; }',
+            'mark { background: #ffe58a; } mark.current { background: #ff9d3c; }',
+            '</style>',
+            '</head>',
+            '<body>',
+            '<header>',
+            `<h1>${escape(title)}</h1>`,
+            details.length ? `<p class="meta">${escape(details.join(' · '))}</p>` : '',
+            player,
+            '<p><input type="search" id="search" placeholder="Search the transcript" aria-label="Search"> <span id="count" class="count"></span></p>',
+            '</header>',
+            '<nav>',
+            chapters.length > 1 ? '<h2>Chapters</h2>' : '',
+            chapters.length > 1 ? `<ol>${chapters.map((chapter, k) => `<li>${time(chapter.start, `chapter-${k + 1}`)} ${escape(chapter.title)}</li>`).join('')}</ol>` : '',
+            keywords.length ? `<ul class="keywords">${keywords.map(keyword => `<li><button data-search="${escape(keyword.word)}">${escape(keyword.word)}</button></li>`).join('')}</ul>` : '',
+            '</nav>',
+            '<main>',
+            ...body,
+            '</main>',
+            '<script>',
+            '(function () {',
+            '    var media = document.getElementById("media");',
+            '    var search = document.getElementById("search");',
+            '    var count = document.getElementById("count");',
+            '    var paragraphs = [].slice.call(document.querySelectorAll("main p[data-start]"));',
+            '    var hits = [];',
+            '    var current = -1;',
+            '',
+            '    function seek(target) {',
+            '        if (media && target && target.hasAttribute("data-time")) media.currentTime = parseFloat(target.getAttribute("data-time"));',
+            '    }',
+            '    function find(query) {',
+            '        hits = [];',
+            '        current = -1;',
+            '        paragraphs.forEach(function (p) {',
+            '            var text = p.querySelector(".text");',
+            '            var plain = text.textContent;',
+            '            var lower = plain.toLowerCase();',
+            '            var from = 0;',
+            '            var at;',
+            '            text.textContent = plain;',
+            '            if (!query) return;',
+            '            var parts = document.createDocumentFragment();',
+            '            while ((at = lower.indexOf(query, from)) !== -1) {',
+            '                var mark = document.createElement("mark");',
+            '                mark.textContent = plain.slice(at, at + query.length);',
+            '                parts.appendChild(document.createTextNode(plain.slice(from, at)));',
+            '                parts.appendChild(mark);',
+            '                hits.push(mark);',
+            '                from = at + query.length;',
+            '            }',
+            '            if (!from) return;',
+            '            parts.appendChild(document.createTextNode(plain.slice(from)));',
+            '            text.textContent = "";',
+            '            text.appendChild(parts);',
+            '        });',
+            '        count.textContent = query ? hits.length + (hits.length === 1 ? " match" : " matches") : "";',
+            '    }',
+            '    function step(by) {',
+            '        if (!hits.length) return;',
+            '        if (current >= 0) hits[current].classList.remove("current");',
+            '        current = (current + by + hits.length) % hits.length;',
+            '        hits[current].classList.add("current");',
+            '        hits[current].scrollIntoView({ block: "center" });',
+            '        seek(hits[current].closest("p").querySelector(".time"));',
+            '        count.textContent = (current + 1) + " of " + hits.length;',
+            '    }',
+            '',
+            '    document.addEventListener("click", function (event) {',
+            '        var keyword = event.target.closest("[data-search]");',
+            '        if (keyword) {',
+            '            search.value = keyword.getAttribute("data-search");',
+            '            find(search.value.toLowerCase());',
+            '            step(1);',
+            '        }',
+            '        seek(event.target.closest("[data-time]"));',
+            '    });',
+            '    search.addEventListener("input", function () { find(search.value.trim().toLowerCase()); });',
+            '    search.addEventListener("keydown", function (event) {',
+            '        if (event.key !== "Enter") return;',
+            '        event.preventDefault();',
+            '        step(event.shiftKey ? -1 : 1);',
+            '    });',
+            '    if (media) {',
+            '        media.addEventListener("timeupdate", function () {',
+            '            paragraphs.forEach(function (p) {',
+            '                var playing = media.currentTime >= parseFloat(p.dataset.start) && media.currentTime < parseFloat(p.dataset.end);',
+            '                p.classList.toggle("current", playing);',
+            '            });',
+            '        });',
+            '        if (location.hash) seek(document.querySelector("a[href=\'" + location.hash + "\']"));',
+            '    }',
+            '})();',
+            '</script>',
+            '</body>',
+            '</html>',
+            ''
+        ].filter(line => line !== '').join('\n') + '\n';
+    }
+
+    /**
+     * Convert a result to JSON, keeping timestamps and metadata
+     */
+    static toJSON(result, options = {}) {
+        const data = {
+            source: options.source || null,
+            model: result.model || null,
+            language: result.language || null,
+            task: result.task || null,
+            duration: result.duration || 0,
+            confidence: result.confidence || null,
+            text: result.text,
+            segments: result.segments
+        };
+        return JSON.stringify(data, null, 2) + '\n';
+    }
+
+    /**
+     * Register an export format
+     * exporter: { label, extension, mimeType, subtitles?, export(result, options) }
+     * Subtitle formats receive the resegment option; others get the result untouched.
+     */
+    static registerExporter(format, exporter) {
+        EXPORTERS.set(format, { format, ...exporter });
+    }
+
+    /**
+     * List registered export formats in registration order
+     */
+    static getExporters() {
+        return [...EXPORTERS.values()];
+    }
+
+    /**
+     * Export a result (or a bare segments array) in a registered format
+     * Pass { rules } to clean up the text with applyRules() first; the result itself is left as it is
+     */
+    static export(format, result, options = {}) {
+        const exporter = EXPORTERS.get(format);
+        if (!exporter) {
+            throw new Error(`Unknown export format "${format}". Available formats: ${[...EXPORTERS.keys()].join(', ')}`);
+        }
+
+        let normalized = Array.isArray(result)
+            ? { text: result.map(s => s.text).join(' '), segments: result }
+            : result;
+        if (options.rules && options.rules.length && normalized.segments.length) {
+            const segments = Transcriber.applyRules(normalized.segments, options.rules);
+            normalized = { ...normalized, segments, text: segments.map(s => s.text).join(' ') };
+        }
+        const exportOptions = exporter.subtitles ? options : { ...options, resegment: false };
+        return exporter.export(normalized, exportOptions);
+    }
+
+    /**
+     * Bundle files into a zip archive (stored, not compressed: transcripts are small)
+     * files: [{ name, content }] with content a string or Uint8Array; names may contain folders ("a/b.srt")
+     */
+    static zip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+            const crc = Transcriber.crc32(data);
+
+            // Local file header; flag 0x0800 marks the name as UTF-8
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true);
+            header.setUint16(10, time, true);
+            header.setUint16(12, date, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            parts.push(header, name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            directory.push(entry, name);
+
+            offset += 30 + name.length + data.length;
+        }
+
+        const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+    }
+
+    /**
+     * CRC-32 (as used by zip) of a byte array
+     */
+    static crc32(bytes) {
+        if (!CRC32_TABLE) {
+            CRC32_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                CRC32_TABLE[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Parse an SRT file into segments
+     * Formatting tags are stripped and multi-line cues are joined with spaces. When every cue starts with a
+     * "[Speaker] " label, as toSRT() writes them, the labels become segment.speaker.
+     * Throws with the line number when a timestamp line is malformed.
+     */
+    static fromSRT(text) {
+        const lines = Transcriber.splitLines(text);
+        const segments = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            if (!lines[i].trim()) {
+                i++;
+                continue;
+            }
+
+            // Optional numeric index before the timing line
+            if (/^\d+$/.test(lines[i].trim()) && i + 1 < lines.length && lines[i + 1].includes('-->')) {
+                i++;
+            }
+
+            const timing = Transcriber.parseCueTiming(lines[i], i + 1, 'SRT');
+            i++;
+
+            const textLines = [];
+            while (i < lines.length && lines[i].trim()) {
+                textLines.push(lines[i]);
+                i++;
+            }
+
+            const cueText = textLines
+                .map(line => line.replace(/\{\\[^}]*\}/g, '').replace(/<[^>]+>/g, ''))
+                .join(' ');
+            segments.push({
+                text: Transcriber.decodeEntities(cueText).replace(/\s+/g, ' ').trim(),
+                startTime: timing.start,
+                endTime: timing.end
+            });
+        }
+
+        // A bracketed sound description such as "[Music]" can start a cue too, so only take labels found on all of them
+        const labels = segments.map(segment => /^\[([^\]]+)\] (?=\S)/.exec(segment.text));
+        if (labels.length && labels.every(Boolean)) {
+            segments.forEach((segment, i) => {
+                segment.speaker = labels[i][1].trim();
+                segment.text = segment.text.slice(labels[i][0].length);
+            });
+        }
+
+        return segments;
+    }
+
+    /**
+     * Parse a WebVTT file into segments
+     * Cue settings, NOTE/STYLE/REGION blocks and markup are dropped; <v> voice names become segment.speaker
+     * and inline word timestamps (as written by toKaraokeVTT) become segment.words.
+     */
+    static fromVTT(text) {
+        const lines = Transcriber.splitLines(text);
+        if (!/^WEBVTT(?:[ \t].*)?$/.test(lines[0] || '')) {
+            throw new Error('Invalid WebVTT file: the first line must be "WEBVTT"');
+        }
+
+        const segments = [];
+        let i = 1;
+
+        while (i < lines.length) {
+            if (!lines[i].trim()) {
+                i++;
+                continue;
+            }
+
+            // Skip comment, style and region blocks
+            if (/^(NOTE|STYLE|REGION)(\s|$)/.test(lines[i])) {
+                while (i < lines.length && lines[i].trim()) i++;
+                continue;
+            }
+
+            // Optional cue identifier
+            if (!lines[i].includes('-->')) {
+                i++;
+                if (i >= lines.length || !lines[i].includes('-->')) {
+                    throw new Error(`Invalid WebVTT cue on line ${i}: expected a timing line after "${lines[i - 1].trim()}"`);
+                }
+            }
+
+            const timing = Transcriber.parseCueTiming(lines[i], i + 1, 'WebVTT');
+            i++;
+
+            const textLines = [];
+            while (i < lines.length && lines[i].trim()) {
+                textLines.push(lines[i]);
+                i++;
+            }
+
+            const payload = textLines.join(' ');
+            const segment = {
+                text: Transcriber.decodeEntities(payload.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim(),
+                startTime: timing.start,
+                endTime: timing.end
+            };
+
+            const voice = /<v(?:\.[^\s>]+)?\s+([^>]+)>/.exec(payload);
+            if (voice) segment.speaker = Transcriber.decodeEntities(voice[1]).trim();
+
+            const words = Transcriber.parseInlineTimestamps(payload, timing);
+            if (words) segment.words = words;
+
+            segments.push(segment);
+        }
+
+        return segments;
+    }
+
+    /**
+     * Parse "start --> end [settings]" into seconds
+     */
+    static parseCueTiming(line, lineNumber, format) {
+        const match = /^\s*(\S+)\s+-->\s+(\S+)/.exec(line || '');
+        if (!match) {
+            throw new Error(`Invalid ${format} cue on line ${lineNumber}: expected "start --> end" but found "${(line || '').trim()}"`);
+        }
+
+        const start = Transcriber.parseTimestamp(match[1]);
+        const end = Transcriber.parseTimestamp(match[2]);
+        if (start === null || end === null) {
+            const bad = start === null ? match[1] : match[2];
+            throw new Error(`Invalid ${format} timestamp "${bad}" on line ${lineNumber}`);
+        }
+        if (end < start) {
+            throw new Error(`Invalid ${format} cue on line ${lineNumber}: it ends before it starts`);
+        }
+        return { start, end };
+    }
+
+    /**
+     * Parse HH:MM:SS,mmm / HH:MM:SS.mmm / MM:SS.mmm into seconds, or null if malformed
+     */
+    static parseTimestamp(value) {
+        const match = /^(?:(\d+):)?([0-5]?\d):([0-5]\d)[,.](\d{1,3})$/.exec(value);
+        if (!match) return null;
+        const [, h, m, s, ms] = match;
+        return Number(h || 0) * 3600 + Number(m) * 60 + Number(s) + Number(ms.padEnd(3, '0')) / 1000;
+    }
+
+    /**
+     * Turn "word <00:00:01.200>word" karaoke markup into word timings, or null if the cue has none
+     */
+    static parseInlineTimestamps(payload, timing) {
+        if (!/<\d[\d:.]*>/.test(payload)) return null;
+
+        const words = [];
+        let time = timing.start;
+        for (const part of payload.split(/(<\d[\d:.]*>)/)) {
+            const stamp = /^<([\d:.]+)>$/.exec(part);
+            if (stamp) {
+                const parsed = Transcriber.parseTimestamp(stamp[1]);
+                if (parsed !== null) time = parsed;
+                continue;
+            }
+            const text = Transcriber.decodeEntities(part.replace(/<[^>]+>/g, ''));
+            text.split(/\s+/).filter(Boolean).forEach(word => words.push({ word, start: time }));
+        }
+
+        words.forEach((word, i) => {
+            word.end = i + 1 < words.length ? Math.max(words[i + 1].start, word.start) : timing.end;
+        });
+        return words.length ? words : null;
+    }
+
+    /**
+     * Split file text into lines, dropping a byte order mark and normalizing line endings
+     */
+    static splitLines(text) {
+        return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+    }
+
+    /**
+     * Decode the HTML entities allowed in subtitle text
+     */
+    static decodeEntities(text) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', lrm: '\u200E', rlm: '\u200F' };
+        return text
+            .replace(/&(amp|lt|gt|quot|apos|nbsp|lrm|rlm);/g, (_, name) => entities[name])
+            .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+            .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)));
+    }
+
+    /**
+     * Indexes of the words that begin a new line in a wrapped segment (empty if text and words disagree)
+     */
+    static lineStarts(segment) {
+        const starts = new Set();
+        const lines = segment.text.split('\n');
+        if (lines.length < 2) return starts;
+
+        let count = 0;
+        lines.forEach((line, i) => {
+            if (i > 0) starts.add(count);
+            count += line.split(/\s+/).filter(Boolean).length;
+        });
+        return count === segment.words.length ? starts : new Set();
+    }
+
+    /**
+     * Escape text for a WebVTT cue payload
+     */
+    static escapeVTT(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Escape text for XML content and attributes
+     */
+    static escapeXML(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Escape text for an ASS dialogue line (braces start override blocks)
+     */
+    static escapeASS(text) {
+        return text.replace(/\{/g, '(').replace(/\}/g, ')').replace(/\r?\n/g, '\\N');
+    }
+
+    /**
+     * Format time for SRT (HH:MM:SS,mmm)
+     */
+    static formatTimeSRT(seconds) {
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const s = Math.floor(seconds % 60);
+        const ms = Math.floor((seconds % 1) * 1000);
+        return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')},${String(ms).padStart(3, '0')}`;
+    }
+
+    /**
+     * Format time for VTT (HH:MM:SS.mmm)
+     */
+    static formatTimeVTT(seconds) {
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const s = Math.floor(seconds % 60);
+        const ms = Math.floor((seconds % 1) * 1000);
+        return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+    }
+
+    /**
+     * Format time for ASS (H:MM:SS.cc)
+     */
+    static formatTimeASS(seconds) {
+        const cs = Math.round(seconds * 100);
+        const h = Math.floor(cs / 360000);
+        const m = Math.floor((cs % 360000) / 6000);
+        const s = Math.floor((cs % 6000) / 100);
+        return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(cs % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * Format time for SBV (H:MM:SS.mmm)
+     */
+    static formatTimeSBV(seconds) {
+        const ms = Math.round(seconds * 1000);
+        const h = Math.floor(ms / 3600000);
+        const m = Math.floor((ms % 3600000) / 60000);
+        const s = Math.floor((ms % 60000) / 1000);
+        return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(ms % 1000).padStart(3, '0')}`;
+    }
+
+    /**
+     * Format a duration for humans, e.g. "1m 20s"
+     */
+    static formatDuration(seconds) {
+        const total = Math.max(0, Math.round(seconds));
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = total % 60;
+        if (h > 0) return `${h}h ${m}m`;
+        if (m > 0) return `${m}m ${s}s`;
+        return `${s}s`;
+    }
+
+    /**
+     * Format a byte count for humans, e.g. "41.2 MB"
+     */
+    static formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+    }
+
+    /**
+     * Format time for display (MM:SS, or MM:SS.s with decimals)
+     */
+    static formatTimeDisplay(seconds, decimals = 0) {
+        if (seconds === null || seconds === undefined || isNaN(seconds)) {
+            return '00:00';
+        }
+        if (decimals > 0) {
+            const scale = Math.pow(10, decimals);
+            const rounded = Math.round(seconds * scale) / scale;
+            const m = Math.floor(rounded / 60);
+            const s = (rounded - m * 60).toFixed(decimals);
+            return `${String(m).padStart(2, '0')}:${s.padStart(3 + decimals, '0')}`;
+        }
+        const m = Math.floor(seconds / 60);
+        const s = Math.floor(seconds % 60);
+        return `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+    }
+
+    /**
+     * Format time the way YouTube chapter lists do (M:SS, or H:MM:SS past an hour)
+     */
+    static formatTimeChapter(seconds) {
+        const total = Math.floor(seconds);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = String(total % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    }
+}
+
+// Built-in export formats
+Transcriber.registerExporter('txt', {
+    label: 'Plain text (.txt)', extension: 'txt', mimeType: 'text/plain',
+    export: (result) => Transcriber.toText(result)
+});
+Transcriber.registerExporter('srt', {
+    label: 'SubRip (.srt)', extension: 'srt', mimeType: 'application/x-subrip', subtitles: true,
+    export: (result, options) => Transcriber.toSRT(result.segments, options)
+});
+Transcriber.registerExporter('vtt', {
+    label: 'WebVTT (.vtt)', extension: 'vtt', mimeType: 'text/vtt', subtitles: true,
+    export: (result, options) => Transcriber.toVTT(result.segments, options)
+});
+Transcriber.registerExporter('vtt-karaoke', {
+    label: 'WebVTT with word timing (.vtt)', extension: 'vtt', mimeType: 'text/vtt', subtitles: true,
+    export: (result, options) => Transcriber.toKaraokeVTT(result.segments, options)
+});
+Transcriber.registerExporter('ass', {
+    label: 'Advanced SubStation (.ass)', extension: 'ass', mimeType: 'text/x-ssa', subtitles: true,
+    export: (result, options) => Transcriber.toASS(result.segments, options)
+});
+Transcriber.registerExporter('ssa', {
+    label: 'SubStation Alpha (.ssa)', extension: 'ssa', mimeType: 'text/x-ssa', subtitles: true,
+    export: (result, options) => Transcriber.toSSA(result.segments, options)
+});
+Transcriber.registerExporter('ttml', {
+    label: 'TTML (.ttml)', extension: 'ttml', mimeType: 'application/ttml+xml', subtitles: true,
+    export: (result, options) => Transcriber.toTTML(result.segments, { language: result.language, ...options })
+});
+Transcriber.registerExporter('dfxp', {
+    label: 'DFXP (.dfxp)', extension: 'dfxp', mimeType: 'application/ttaf+xml', subtitles: true,
+    export: (result, options) => Transcriber.toTTML(result.segments, { language: result.language, ...options })
+});
+Transcriber.registerExporter('sbv', {
+    label: 'YouTube SubViewer (.sbv)', extension: 'sbv', mimeType: 'text/plain', subtitles: true,
+    export: (result, options) => Transcriber.toSBV(result.segments, options)
+});
+Transcriber.registerExporter('json', {
+    label: 'JSON (.json)', extension: 'json', mimeType: 'application/json',
+    export: (result, options) => Transcriber.toJSON(result, options)
+});
+Transcriber.registerExporter('csv', {
+    label: 'CSV (.csv)', extension: 'csv', mimeType: 'text/csv',
+    export: (result) => Transcriber.toCSV(result.segments)
+});
+Transcriber.registerExporter('md', {
+    label: 'Markdown (.md)', extension: 'md', mimeType: 'text/markdown',
+    export: (result, options) => Transcriber.toMarkdown(result, options)
+});
+Transcriber.registerExporter('html', {
+    label: 'Interactive transcript (.html)', extension: 'html', mimeType: 'text/html',
+    export: (result, options) => Transcriber.toHTML(result, options)
+});
+Transcriber.registerExporter('chapters', {
+    label: 'YouTube chapters (.txt)', extension: 'chapters.txt', mimeType: 'text/plain',
+    export: (result) => Transcriber.toYouTubeChapters(Transcriber.resultChapters(result))
+});
+Transcriber.registerExporter('vtt-chapters', {
+    label: 'WebVTT chapters (.vtt)', extension: 'chapters.vtt', mimeType: 'text/vtt',
+    export: (result) => Transcriber.toChapterVTT(Transcriber.resultChapters(result))
+});
+
+/**
+ * Speech recognition engine running Whisper with transformers.js in whisper-worker.js
+ * Transcriber only talks to its engine through these methods, so another engine (see MockEngine) can stand in:
+ *   load(model, runtime, onProgress)        load the model; onProgress({ percent, file }) while downloading
+ *   transcribe(audio, options, { start })   one window (up to 30s) of 16kHz mono audio -> { text, chunks }
+ *   detectLanguage(audio)                   language code heard in a window, or null
+ *   loadSpeakers(), embed(), download()     only used for diarization and the model cache
+ *   isSupported(), terminate(reason)        terminate() stops at once and rejects every call in flight
+ * chunks are [{ text, timestamp: [start, end], confidence?, words? }] in seconds from the start of the window,
+ * with end null for a segment the window cut off, and words [{ text, timestamp, confidence? }].
+ * `start` is where the window begins in the audio Transcriber reads, for engines that care.
+ */
+class WhisperEngine {
+    constructor(options = {}) {
+        const workerUrl = options.workerUrl || 'whisper-worker.js';
+        this.createWorker = options.createWorker || (() => new Worker(workerUrl, { type: 'module' }));
+        // Called when the worker dies on its own; Transcriber resets its loaded models there
+        this.onError = options.onError || ((error) => this.terminate(error));
+
+        this.worker = null;
+        this.requests = new Map();
+        this.nextRequestId = 0;
+    }
+
+    isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    load(model, runtime, onProgress) {
+        return this.request('load', { model, runtime }, [], onProgress);
+    }
+
+    loadSpeakers(model, runtime, onProgress) {
+        return this.request('loadSpeakers', { model, runtime }, [], onProgress);
+    }
+
+    download(model, runtime, onProgress) {
+        return this.request('download', { model, runtime }, [], onProgress);
+    }
+
+    // The audio is transferred to the worker, so these take a copy the caller no longer needs
+    transcribe(audio, options) {
+        return this.request('transcribe', { audio, options }, [audio.buffer]);
+    }
+
+    detectLanguage(audio) {
+        return this.request('detect', { audio }, [audio.buffer]);
+    }
+
+    /**
+     * A speaker embedding (Float32Array) for each [start, end) sample range of the audio
+     */
+    embed(audio, ranges) {
+        return this.request('embed', { audio, ranges }, [audio.buffer]);
+    }
+
+    /**
+     * Start the Whisper worker if it isn't running yet
+     */
+    getWorker() {
+        if (this.worker) return this.worker;
+
+        this.worker = this.createWorker();
+
+        this.worker.onmessage = (e) => {
+            const { id, type } = e.data;
+            const request = this.requests.get(id);
+            if (!request) return;
+
+            if (type === 'loading') {
+                if (request.onMessage) request.onMessage(e.data);
+            } else if (type === 'done') {
+                this.requests.delete(id);
+                request.resolve(e.data.result);
+            } else if (type === 'error') {
+                this.requests.delete(id);
+                request.reject(new Error(e.data.message));
+            }
+        };
+
+        this.worker.onerror = (e) => {
+            e.preventDefault();
+            this.onError(new Error(e.message || 'Whisper worker failed to start'));
+        };
+
+        return this.worker;
+    }
+
+    /**
+     * Send a message to the worker and wait for its reply
+     */
+    request(type, payload = {}, transfer = [], onMessage = null) {
+        const worker = this.getWorker();
+        const id = ++this.nextRequestId;
+
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject, onMessage });
+            worker.postMessage({ id, type, ...payload }, transfer);
+        });
+    }
+
+    /**
+     * Stop the worker immediately and fail every request still waiting on it
+     */
+    terminate(reason) {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        const pending = [...this.requests.values()];
+        this.requests.clear();
+        pending.forEach(request => request.reject(reason));
+    }
+}
+
+/**
+ * Recognition engine that plays back a script instead of running a model, so transcribe(), its events and
+ * the exporters run offline and give the same result every time (createSignalSource() makes audio for it)
+ * script: [{ start, end, text, confidence?, words?, speaker? }], words as in a transcript ({ word, start, end }),
+ * with times in seconds on the audio the engine is given: VAD and time ranges leave out what they skip.
+ * It can also be a function (audio, options, { start }) returning a window's { text, chunks } itself.
+ * options: language (what detectLanguage() answers, default 'en'), delay (ms every call takes, so a cancel
+ * can land in the middle of one) and errors ({ transcribe: 'Out of memory' } fails every call of that kind).
+ * Every call is recorded in `calls` as { type, ... } for tests to check.
+ */
+class MockEngine {
+    constructor(script = [], options = {}) {
+        this.script = script;
+        this.language = options.language !== undefined ? options.language : 'en';
+        this.delay = options.delay || 0;
+        this.errors = options.errors || {};
+        this.calls = [];
+        // Calls still waiting out their delay, failed by terminate()
+        this.pending = new Set();
+        // Speaker -> index of the embedding dimension standing for their voice
+        this.voices = new Map();
+    }
+
+    isSupported() {
+        return true;
+    }
+
+    load(model, runtime, onProgress) {
+        return this.run({ type: 'load', model }, () => MockEngine.reportProgress(model, onProgress));
+    }
+
+    loadSpeakers(model, runtime, onProgress) {
+        return this.run({ type: 'loadSpeakers', model }, () => MockEngine.reportProgress(model, onProgress));
+    }
+
+    download(model, runtime, onProgress) {
+        return this.run({ type: 'download', model }, () => MockEngine.reportProgress(model, onProgress));
+    }
+
+    /**
+     * The script lines starting in this window; like Whisper, one running past its end comes back cut off
+     */
+    transcribe(audio, options = {}, { start = 0 } = {}) {
+        const duration = audio.length / SAMPLE_RATE;
+        return this.run({ type: 'transcribe', start, duration, options }, () => {
+            if (typeof this.script === 'function') return this.script(audio, options, { start });
+
+            // Window starts are whole samples, so a line the last window cut off may start a hair before this one
+            const chunks = this.script
+                .filter(line => line.start >= start - 1 / SAMPLE_RATE && line.start < start + duration)
+                .map(line => MockEngine.chunk(line, start, duration, options.wordTimestamps));
+            return { text: chunks.map(chunk => chunk.text).join(''), chunks };
+        });
+    }
+
+    detectLanguage(audio) {
+        return this.run({ type: 'detect', duration: audio.length / SAMPLE_RATE }, () => this.language);
+    }
+
+    /**
+     * One unit vector per speaker, taken from the script line under the middle of each range
+     */
+    embed(audio, ranges, { start = 0 } = {}) {
+        return this.run({ type: 'embed', start, ranges }, () => ranges.map(([from, to]) => {
+            const middle = start + (from + to) / 2 / SAMPLE_RATE;
+            const line = Array.isArray(this.script) && this.script.find(l => middle >= l.start && middle < l.end);
+            const speaker = line && line.speaker !== undefined ? line.speaker : null;
+            if (!this.voices.has(speaker)) this.voices.set(speaker, this.voices.size);
+
+            const embedding = new Float32Array(32);
+            embedding[this.voices.get(speaker) % embedding.length] = 1;
+            return embedding;
+        }));
+    }
+
+    terminate(reason) {
+        this.pending.forEach(pending => {
+            clearTimeout(pending.timer);
+            pending.reject(reason);
+        });
+        this.pending.clear();
+    }
+
+    /**
+     * Record a call and answer it after the delay, failing it if options.errors names its type
+     */
+    run(call, answer) {
+        this.calls.push(call);
+        return new Promise((resolve, reject) => {
+            const pending = { reject };
+            pending.timer = setTimeout(() => {
+                this.pending.delete(pending);
+                try {
+                    if (this.errors[call.type]) throw new Error(this.errors[call.type]);
+                    resolve(answer());
+                } catch (error) {
+                    reject(error);
+                }
+            }, this.delay);
+            this.pending.add(pending);
+        });
+    }
+
+    /**
+     * A script line as a Whisper chunk relative to the window; words are spread evenly over the line
+     * unless it lists its own
+     */
+    static chunk(line, start, duration, wordTimestamps) {
+        const chunk = {
+            text: ` ${line.text}`,
+            timestamp: [line.start - start, line.end - start <= duration ? line.end - start : null]
+        };
+        if (line.confidence !== undefined) chunk.confidence = line.confidence;
+        if (!wordTimestamps) return chunk;
+
+        const parts = line.text.split(/\s+/).filter(Boolean);
+        const step = (line.end - line.start) / (parts.length || 1);
+        const words = line.words || parts.map((word, i) => ({ word, start: line.start + i * step, end: line.start + (i + 1) * step }));
+        chunk.words = words
+            .filter(word => word.start - start < duration)
+            .map(word => {
+                const mapped = { text: ` ${word.word}`, timestamp: [word.start - start, Math.min(word.end - start, duration)] };
+                if (word.confidence !== undefined) mapped.confidence = word.confidence;
+                return mapped;
+            });
+        return chunk;
+    }
+
+    static reportProgress(model, onProgress) {
+        if (!onProgress) return;
+        onProgress({ percent: 0, file: model });
+        onProgress({ percent: 100, file: model });
+    }
+}
+
+/**
+ * Editable transcript view synced to a media element
+ * Click a timestamp to seek; the segment being played is highlighted and kept in view.
+ * Keys while editing: Enter splits at the caret, Backspace at the start / Delete at the end merges,
+ * Alt+Left/Right nudges the start time, Alt+Shift+Left/Right the end time,
+ * Ctrl/Cmd+Z undoes and Ctrl/Cmd+Shift+Z or Ctrl+Y redoes.
+ */
+class TranscriptEditor {
+    constructor(container, media, options = {}) {
+        this.container = container;
+        this.media = media;
+        this.onChange = options.onChange || (() => { });
+        this.nudgeStep = options.nudgeStep || 0.1;
+        this.historyLimit = options.historyLimit || 100;
+        // Words (or segments without word timing) below this confidence are highlighted for review
+        this.confidenceThreshold = options.confidenceThreshold !== undefined ? options.confidenceThreshold : 0.6;
+
+        this.segments = [];
+        this.readOnly = false;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.activeIndex = -1;
+        // True once the current run of typing has an undo snapshot
+        this.typing = false;
+        // Lowercased search text, its matches as { index, start, end } (segment and character offsets)
+        // and the match last shown
+        this.query = '';
+        this.matches = [];
+        this.matchIndex = -1;
+
+        // Lets the panel keep focus (and undo shortcuts) after a re-render
+        container.tabIndex = -1;
+
+        container.addEventListener('click', (e) => this.handleClick(e));
+        container.addEventListener('input', (e) => this.handleInput(e));
+        container.addEventListener('keydown', (e) => this.handleKeydown(e));
+        container.addEventListener('paste', (e) => this.handlePaste(e));
+        container.addEventListener('focusout', () => { this.typing = false; });
+
+        if (media) {
+            media.addEventListener('timeupdate', () => this.syncToTime(media.currentTime));
+            media.addEventListener('seeked', () => this.syncToTime(media.currentTime));
+        }
+    }
+
+    /**
+     * Show a new set of segments; readOnly is used while a transcription is still running
+     */
+    setSegments(segments, { readOnly = false } = {}) {
+        this.segments = TranscriptEditor.clone(segments);
+        this.readOnly = readOnly;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.typing = false;
+        this.render();
+    }
+
+    /**
+     * Remove all segments and history
+     */
+    clear() {
+        this.segments = [];
+        this.undoStack = [];
+        this.redoStack = [];
+        this.activeIndex = -1;
+        this.container.textContent = '';
+        this.highlightMatches();
+    }
+
+    /**
+     * Current segments with surrounding whitespace trimmed from the text
+     */
+    getSegments() {
+        return this.segments.map(segment => ({ ...segment, text: segment.text.trim() }));
+    }
+
+    render(focus) {
+        this.container.textContent = '';
+        this.container.classList.toggle('editable', !this.readOnly);
+
+        const fragment = document.createDocumentFragment();
+        this.segments.forEach((segment, index) => {
+            const el = document.createElement('div');
+            el.className = 'segment';
+            el.dataset.index = index;
+            if (segment.confidence < this.confidenceThreshold) el.classList.add('low-confidence');
+            if (segment.confidence === undefined) el.classList.add('unscored');
+            // Live captions that may still change
+            if (segment.provisional) el.classList.add('provisional');
+
+            const timestamp = document.createElement('div');
+            timestamp.className = 'timestamp';
+            const seek = document.createElement('button');
+            seek.type = 'button';
+            seek.className = 'seek';
+            seek.title = 'Jump to this point';
+            seek.textContent = this.formatRange(segment);
+            timestamp.appendChild(seek);
+
+            if (segment.speaker) {
+                const speaker = document.createElement('button');
+                speaker.type = 'button';
+                speaker.className = 'speaker';
+                speaker.title = this.readOnly ? segment.speaker : 'Rename this speaker';
+                speaker.disabled = this.readOnly;
+                speaker.textContent = segment.speaker;
+                timestamp.appendChild(speaker);
+            }
+
+            const text = document.createElement('div');
+            text.className = 'segment-text';
+            this.renderText(text, segment);
+            if (!this.readOnly) {
+                text.contentEditable = 'true';
+                text.spellcheck = true;
+            }
+
+            el.append(timestamp, text);
+            fragment.appendChild(el);
+        });
+        this.container.appendChild(fragment);
+
+        this.activeIndex = -1;
+        if (this.media) this.syncToTime(this.media.currentTime);
+        if (focus) this.focusText(focus.index, focus.offset);
+        this.highlightMatches();
+    }
+
+    /**
+     * Fill a segment's text element, marking the words the model was unsure of
+     * Without per-word confidence (or once the text no longer matches the words) the whole text is marked instead
+     */
+    renderText(el, segment) {
+        const words = segment.words || [];
+        const parts = segment.text.split(' ');
+        const scored = words.length === parts.length && words.every(w => w.confidence !== undefined);
+
+        if (!scored) {
+            el.textContent = segment.text;
+            if (segment.confidence < this.confidenceThreshold) {
+                el.classList.add('low-confidence');
+                el.title = `Confidence ${Math.round(segment.confidence * 100)}%`;
+            } else if (segment.confidence === undefined) {
+                el.title = 'Confidence not scored';
+            }
+            return;
+        }
+
+        parts.forEach((part, i) => {
+            if (i > 0) el.appendChild(document.createTextNode(' '));
+            if (words[i].confidence < this.confidenceThreshold) {
+                const mark = document.createElement('mark');
+                mark.className = 'low-confidence';
+                mark.title = `Confidence ${Math.round(words[i].confidence * 100)}%`;
+                mark.textContent = part;
+                el.appendChild(mark);
+            } else {
+                el.appendChild(document.createTextNode(part));
+            }
+        });
+        el.normalize();
+    }
+
+    formatRange(segment) {
+        return `${Transcriber.formatTimeDisplay(segment.startTime, 1)} - ${Transcriber.formatTimeDisplay(segment.endTime, 1)}`;
+    }
+
+    segmentElement(index) {
+        return this.container.querySelector(`.segment[data-index="${index}"]`);
+    }
+
+    /**
+     * Highlight the segment playing at `time` and scroll it into view unless the user is typing
+     */
+    syncToTime(time) {
+        const index = this.segments.findIndex(s => time >= s.startTime && time < s.endTime);
+        if (index === this.activeIndex) return;
+
+        const previous = this.segmentElement(this.activeIndex);
+        if (previous) previous.classList.remove('active');
+        this.activeIndex = index;
+
+        const el = this.segmentElement(index);
+        if (!el) return;
+        el.classList.add('active');
+
+        const editing = document.activeElement && document.activeElement.classList.contains('segment-text');
+        const top = el.offsetTop;
+        const bottom = top + el.offsetHeight;
+        const visible = top >= this.container.scrollTop && bottom <= this.container.scrollTop + this.container.clientHeight;
+        if (!editing && !visible) {
+            this.container.scrollTop = top - this.container.clientHeight / 3;
+        }
+    }
+
+    handleClick(e) {
+        const speaker = e.target.closest('.speaker');
+        if (speaker) {
+            const name = window.prompt(`Rename "${speaker.textContent}" to:`, speaker.textContent);
+            if (name !== null) this.renameSpeaker(speaker.textContent, name);
+            return;
+        }
+
+        const seek = e.target.closest('.seek');
+        if (!seek || !this.media) return;
+        const index = Number(seek.closest('.segment').dataset.index);
+        this.media.currentTime = this.segments[index].startTime;
+        this.syncToTime(this.media.currentTime);
+    }
+
+    /**
+     * Find text in the transcript, ignoring case, and highlight every match
+     * Returns the number of matches; showMatch() steps through them.
+     */
+    search(query) {
+        this.query = query.trim().toLowerCase();
+        this.matchIndex = -1;
+        this.highlightMatches();
+        return this.matches.length;
+    }
+
+    /**
+     * Scroll to a match and seek the media to its segment; the index wraps around, so
+     * showMatch(matchIndex + 1) and showMatch(matchIndex - 1) step forward and back
+     */
+    showMatch(index) {
+        const count = this.matches.length;
+        if (!count) return null;
+
+        this.matchIndex = ((index % count) + count) % count;
+        this.highlightMatches();
+        const match = this.matches[this.matchIndex];
+        const el = this.segmentElement(match.index);
+        if (el) this.container.scrollTop = el.offsetTop - this.container.clientHeight / 3;
+        if (this.media) {
+            this.media.currentTime = this.segments[match.index].startTime;
+            this.syncToTime(this.media.currentTime);
+        }
+        return match;
+    }
+
+    /**
+     * Find the search text again after the segments changed and mark the matches
+     * Segments with a match get the "match" class; where the CSS Custom Highlight API is available the
+     * matched text itself is painted as ::highlight(transcript-search), and the shown match as
+     * ::highlight(transcript-search-current), without touching the editable text.
+     */
+    highlightMatches() {
+        this.matches = [];
+        if (this.query) {
+            this.segments.forEach((segment, index) => {
+                const text = segment.text.toLowerCase();
+                for (let at = text.indexOf(this.query); at !== -1; at = text.indexOf(this.query, at + this.query.length)) {
+                    this.matches.push({ index, start: at, end: at + this.query.length });
+                }
+            });
+        }
+        if (this.matchIndex >= this.matches.length) this.matchIndex = -1;
+
+        this.container.querySelectorAll('.segment.match').forEach(el => el.classList.remove('match'));
+        const ranges = this.matches.map(match => {
+            const el = this.segmentElement(match.index);
+            if (!el) return null;
+            el.classList.add('match');
+            const textEl = el.querySelector('.segment-text');
+            const start = this.textPosition(textEl, match.start);
+            const end = this.textPosition(textEl, match.end);
+            const range = document.createRange();
+            range.setStart(start.node, start.offset);
+            range.setEnd(end.node, end.offset);
+            return range;
+        });
+
+        if (typeof CSS === 'undefined' || !CSS.highlights) return;
+        const current = ranges[this.matchIndex];
+        CSS.highlights.set('transcript-search', new Highlight(...ranges.filter(range => range && range !== current)));
+        if (current) CSS.highlights.set('transcript-search-current', new Highlight(current));
+        else CSS.highlights.delete('transcript-search-current');
+    }
+
+    /**
+     * Rename a speaker on every segment it is attached to
+     */
+    renameSpeaker(from, to) {
+        to = to.trim();
+        if (this.readOnly || !to || to === from) return;
+
+        this.pushHistory();
+        this.segments.forEach(segment => {
+            if (segment.speaker === from) segment.speaker = to;
+        });
+        this.render();
+        this.changed();
+    }
+
+    /**
+     * Run cleanup rules (see Transcriber.applyRules) over the whole transcript as one undoable edit
+     */
+    applyRules(rules) {
+        if (this.readOnly || !rules.length) return;
+
+        this.pushHistory();
+        this.segments = Transcriber.applyRules(this.segments, rules);
+        this.activeIndex = -1;
+        this.render();
+        this.changed();
+    }
+
+    handleInput(e) {
+        const textEl = e.target.closest('.segment-text');
+        if (!textEl) return;
+
+        if (!this.typing) {
+            this.pushHistory();
+            this.typing = true;
+        }
+        const index = Number(textEl.closest('.segment').dataset.index);
+        TranscriptEditor.updateText(this.segments[index], textEl.textContent);
+        this.highlightMatches();
+        this.changed();
+    }
+
+    handlePaste(e) {
+        if (!e.target.closest('.segment-text')) return;
+        // Keep the editor plain text; pasted markup would end up in the transcript
+        e.preventDefault();
+        const text = (e.clipboardData || window.clipboardData).getData('text').replace(/\s+/g, ' ');
+        document.execCommand('insertText', false, text);
+    }
+
+    handleKeydown(e) {
+        const mod = e.ctrlKey || e.metaKey;
+        const key = e.key.toLowerCase();
+
+        if (mod && key === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) this.redo(); else this.undo();
+            return;
+        }
+        if (mod && key === 'y') {
+            e.preventDefault();
+            this.redo();
+            return;
+        }
+
+        const textEl = e.target.closest && e.target.closest('.segment-text');
+        if (!textEl || this.readOnly) return;
+
+        const index = Number(textEl.closest('.segment').dataset.index);
+        const selection = window.getSelection();
+        const collapsed = selection.rangeCount > 0 && selection.getRangeAt(0).collapsed;
+        const caret = this.getCaretOffset(textEl);
+
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            this.split(index, caret);
+        } else if (e.key === 'Backspace' && collapsed && caret === 0 && index > 0) {
+            e.preventDefault();
+            this.merge(index - 1);
+        } else if (e.key === 'Delete' && collapsed && caret === textEl.textContent.length && index < this.segments.length - 1) {
+            e.preventDefault();
+            this.merge(index);
+        } else if (e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+            e.preventDefault();
+            const delta = e.key === 'ArrowLeft' ? -this.nudgeStep : this.nudgeStep;
+            this.nudge(index, e.shiftKey ? 'end' : 'start', delta);
+        } else if (e.key === 'Escape') {
+            textEl.blur();
+        }
+    }
+
+    /**
+     * Split a segment at a character offset; time is divided by word timing or by text length
+     */
+    split(index, offset) {
+        const segment = this.segments[index];
+        const before = segment.text.slice(0, offset).trim();
+        const after = segment.text.slice(offset).trim();
+        if (!before || !after) return;
+
+        this.pushHistory();
+
+        const first = { ...segment, text: before };
+        const second = { ...segment, text: after };
+        const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+        const wordsBefore = countWords(before);
+        let splitTime;
+
+        if (segment.words && segment.words.length === wordsBefore + countWords(after)) {
+            first.words = segment.words.slice(0, wordsBefore);
+            second.words = segment.words.slice(wordsBefore);
+            splitTime = second.words[0].start;
+        } else {
+            // Caret inside a word, or no word timing: estimate from the share of characters
+            delete first.words;
+            delete second.words;
+            splitTime = segment.startTime + (segment.endTime - segment.startTime) * before.length / (before.length + after.length);
+        }
+
+        first.endTime = TranscriptEditor.round(splitTime);
+        second.startTime = TranscriptEditor.round(splitTime);
+
+        this.segments.splice(index, 1, first, second);
+        this.render({ index: index + 1, offset: 0 });
+        this.changed();
+    }
+
+    /**
+     * Merge the segment at index with the one after it
+     */
+    merge(index) {
+        const a = this.segments[index];
+        const b = this.segments[index + 1];
+        if (!a || !b) return;
+
+        this.pushHistory();
+
+        const left = a.text.trim();
+        const right = b.text.trim();
+        const merged = {
+            ...a,
+            text: [left, right].filter(Boolean).join(' '),
+            startTime: Math.min(a.startTime, b.startTime),
+            endTime: Math.max(a.endTime, b.endTime)
+        };
+        const scored = [a, b].filter(s => s.confidence !== undefined);
+        if (scored.length) merged.confidence = scored.reduce((sum, s) => sum + s.confidence, 0) / scored.length;
+        else delete merged.confidence;
+        if (a.words && b.words) {
+            merged.words = [...a.words, ...b.words];
+        } else {
+            delete merged.words;
+        }
+
+        this.segments.splice(index, 2, merged);
+        this.render({ index, offset: left.length + (left && right ? 1 : 0) });
+        this.changed();
+    }
+
+    /**
+     * Move a segment's start or end time, keeping it clear of its neighbours and at least 0.1s long
+     */
+    nudge(index, edge, delta) {
+        const segment = this.segments[index];
+        const prev = this.segments[index - 1];
+        const next = this.segments[index + 1];
+        const minLength = 0.1;
+
+        this.pushHistory();
+
+        if (edge === 'start') {
+            const min = prev ? prev.endTime : 0;
+            segment.startTime = TranscriptEditor.round(Math.min(Math.max(segment.startTime + delta, min), segment.endTime - minLength));
+        } else {
+            const max = next ? next.startTime : (this.media && this.media.duration) || Infinity;
+            segment.endTime = TranscriptEditor.round(Math.max(Math.min(segment.endTime + delta, max), segment.startTime + minLength));
+        }
+
+        // Update the label in place so the caret stays where it is
+        const el = this.segmentElement(index);
+        if (el) el.querySelector('.seek').textContent = this.formatRange(segment);
+        this.activeIndex = -1;
+        if (this.media) this.syncToTime(this.media.currentTime);
+        this.changed();
+    }
+
+    undo() {
+        if (!this.undoStack.length) return;
+        this.redoStack.push(TranscriptEditor.clone(this.segments));
+        this.segments = this.undoStack.pop();
+        this.afterHistoryMove();
+    }
+
+    redo() {
+        if (!this.redoStack.length) return;
+        this.undoStack.push(TranscriptEditor.clone(this.segments));
+        this.segments = this.redoStack.pop();
+        this.afterHistoryMove();
+    }
+
+    afterHistoryMove() {
+        this.typing = false;
+        this.render();
+        this.container.focus({ preventScroll: true });
+        this.changed();
+    }
+
+    pushHistory() {
+        this.undoStack.push(TranscriptEditor.clone(this.segments));
+        if (this.undoStack.length > this.historyLimit) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    changed() {
+        this.onChange(this.getSegments());
+    }
+
+    /**
+     * Caret position as a character offset into a segment's text
+     */
+    getCaretOffset(el) {
+        const selection = window.getSelection();
+        if (!selection.rangeCount) return 0;
+        const range = selection.getRangeAt(0);
+        const before = document.createRange();
+        before.selectNodeContents(el);
+        before.setEnd(range.startContainer, range.startOffset);
+        return before.toString().length;
+    }
+
+    focusText(index, offset) {
+        const el = this.segmentElement(index);
+        if (!el) return;
+        const textEl = el.querySelector('.segment-text');
+        textEl.focus();
+
+        const range = document.createRange();
+        const position = this.textPosition(textEl, offset);
+        range.setStart(position.node, position.offset);
+        range.collapse(true);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    /**
+     * The text node and offset a character offset into a segment's text falls on
+     * Low-confidence words are wrapped in marks, so the text may span several nodes
+     */
+    textPosition(textEl, offset) {
+        const walker = document.createTreeWalker(textEl, NodeFilter.SHOW_TEXT);
+        let node = walker.nextNode();
+        while (node && offset > node.length && walker.nextNode()) {
+            offset -= node.length;
+            node = walker.currentNode;
+        }
+        return node ? { node, offset: Math.min(offset, node.length) } : { node: textEl, offset: 0 };
+    }
+
+    /**
+     * Set a segment's text, keeping word timing only while the word count still matches
+     */
+    static updateText(segment, text) {
+        segment.text = text;
+        if (!segment.words) return;
+
+        const parts = text.split(/\s+/).filter(Boolean);
+        if (parts.length === segment.words.length) {
+            segment.words = segment.words.map((word, i) => ({ ...word, word: parts[i] }));
+        } else {
+            delete segment.words;
+        }
+    }
+
+    static clone(segments) {
+        return JSON.parse(JSON.stringify(segments));
+    }
+
+    static round(seconds) {
+        return Math.round(seconds * 1000) / 1000;
+    }
+}
+
+/**
+ * Transcribes a list of files one after another with a single Transcriber, so the model loads once
+ * Jobs can be added, reordered and cancelled while the queue runs; finished transcripts can be
+ * downloaded together as a zip. options.onChange(jobs, job) is called whenever a job changes.
+ */
+class TranscriptionQueue {
+    constructor(transcriber, options = {}) {
+        this.transcriber = transcriber;
+        this.onChange = options.onChange || (() => { });
+        // { id, file, status: 'queued' | 'running' | 'done' | 'error' | 'cancelled', progress, message, result, error }
+        this.jobs = [];
+        this.nextId = 0;
+        this.running = false;
+        this.stopped = false;
+    }
+
+    /**
+     * Queue files; returns the new jobs
+     */
+    add(files) {
+        const added = Array.from(files).map(file => ({
+            id: ++this.nextId,
+            file,
+            status: 'queued',
+            progress: 0,
+            message: 'Queued',
+            result: null,
+            error: null
+        }));
+        this.jobs.push(...added);
+        this.changed();
+        return added;
+    }
+
+    get(id) {
+        return this.jobs.find(job => job.id === id);
+    }
+
+    /**
+     * Move a job to another position; jobs run in list order
+     */
+    move(id, index) {
+        const from = this.jobs.findIndex(job => job.id === id);
+        if (from < 0) return;
+        const [job] = this.jobs.splice(from, 1);
+        this.jobs.splice(Math.max(0, Math.min(index, this.jobs.length)), 0, job);
+        this.changed();
+    }
+
+    /**
+     * Cancel a job: a queued one is skipped, a running one is stopped and the queue goes on with the next
+     */
+    cancel(id) {
+        const job = this.get(id);
+        if (!job) return;
+        if (job.status === 'running') {
+            // The Transcriber rejects with 'Cancelled' and run() records it
+            this.transcriber.cancel();
+        } else if (job.status === 'queued') {
+            job.status = 'cancelled';
+            job.message = 'Cancelled';
+            this.changed(job);
+        }
+    }
+
+    /**
+     * Take a job off the list, cancelling it first if it is running
+     */
+    remove(id) {
+        this.cancel(id);
+        this.jobs = this.jobs.filter(job => job.id !== id);
+        this.changed();
+    }
+
+    /**
+     * Run queued jobs in order until none are left; options go to every transcribe() call
+     * Resolves when the queue is empty or stop() was called
+     */
+    async start(options = {}) {
+        if (this.running) return;
+        this.running = true;
+        this.stopped = false;
+        this.changed();
+
+        try {
+            let job;
+            while (!this.stopped && (job = this.jobs.find(j => j.status === 'queued'))) {
+                await this.run(job, options);
+            }
+        } finally {
+            this.running = false;
+            this.changed();
+        }
+    }
+
+    /**
+     * Stop after cancelling the running job; the jobs still queued stay queued
+     */
+    stop() {
+        if (!this.running) return;
+        this.stopped = true;
+        const job = this.jobs.find(j => j.status === 'running');
+        if (job) this.cancel(job.id);
+    }
+
+    async run(job, options) {
+        job.status = 'running';
+        job.progress = 0;
+        job.message = 'Starting...';
+        job.error = null;
+        this.changed(job);
+
+        try {
+            job.result = await this.transcriber.transcribe(job.file, {
+                ...options,
+                onProgress: (progress) => {
+                    job.message = progress.message || progress.status;
+                    if (progress.percent !== undefined) job.progress = progress.percent;
+                    this.changed(job);
+                }
+            });
+            job.status = 'done';
+            job.progress = 100;
+            job.message = `Done, ${job.result.segments.length} segments`;
+        } catch (error) {
+            job.status = error.message === 'Cancelled' ? 'cancelled' : 'error';
+            job.error = job.status === 'error' ? error : null;
+            job.message = job.status === 'error' ? error.message : 'Cancelled';
+        }
+        this.changed(job);
+    }
+
+    /**
+     * Every finished transcript in each of the given formats, as a zip Blob
+     * Files are named after their media file; exportOptions are passed to Transcriber.export()
+     */
+    toZip(formats, exportOptions = {}) {
+        const files = [];
+        const taken = new Set();
+        const unique = (name, extension) => {
+            let candidate = `${name}.${extension}`;
+            for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${name} (${n}).${extension}`;
+            taken.add(candidate.toLowerCase());
+            return candidate;
+        };
+
+        for (const job of this.jobs) {
+            if (job.status !== 'done') continue;
+            const base = job.file.name.replace(/\.[^.]+$/, '') || 'transcript';
+
+            for (const format of formats) {
+                const exporter = Transcriber.getExporters().find(e => e.format === format);
+                if (!exporter || (exporter.subtitles && !job.result.segments.length)) continue;
+
+                // Two formats sharing an extension (vtt and vtt-karaoke) keep the format in the name
+                const sameExtension = formats.some(f => f !== format && EXPORTERS.has(f) && EXPORTERS.get(f).extension === exporter.extension);
+                files.push({
+                    name: unique(sameExtension ? `${base}.${format}` : base, exporter.extension),
+                    content: Transcriber.export(format, job.result, { ...exportOptions, title: base, source: job.file.name })
+                });
+            }
+        }
+        return Transcriber.zip(files);
+    }
+
+    changed(job = null) {
+        this.onChange(this.jobs, job);
+    }
+}
+
+/**
+ * Transcripts kept in IndexedDB, so they survive a reload
+ * A project is { id, name, size, hash, createdAt, updatedAt, result, checkpoint }: result is the finished
+ * (and edited) transcript, checkpoint the state of an interrupted run that transcribe() can resume from.
+ * Cleanup rule sets are kept alongside, so they can be reused in later sessions.
+ */
+class ProjectLibrary {
+    constructor(options = {}) {
+        this.name = options.name || 'transcriptify';
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Identify a file by name, size and a hash of its whole content
+     * crypto.subtle cannot hash a stream, so each megabyte is hashed as it is read and the key hashes those hashes.
+     */
+    static async fileKey(file) {
+        if (FILE_KEYS.has(file)) return { ...FILE_KEYS.get(file) };
+
+        // crypto.subtle only exists on https and localhost
+        const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+        const digest = async (data) => {
+            if (subtle) return new Uint8Array(await subtle.digest('SHA-256', data));
+            const crc = Transcriber.crc32(data);
+            return new Uint8Array([crc >>> 24, (crc >>> 16) & 0xFF, (crc >>> 8) & 0xFF, crc & 0xFF]);
+        };
+
+        const blocks = Math.max(1, Math.ceil(file.size / READ_SIZE));
+        const hashes = [];
+        for (let i = 0; i < blocks; i++) {
+            hashes.push(await digest(new Uint8Array(await file.slice(i * READ_SIZE, (i + 1) * READ_SIZE).arrayBuffer())));
+        }
+        const data = new Uint8Array(hashes.length * hashes[0].length);
+        hashes.forEach((hash, i) => data.set(hash, i * hash.length));
+        const hash = Array.from(await digest(data), b => b.toString(16).padStart(2, '0')).join('');
+
+        const key = { id: `${file.name}:${file.size}:${hash}`, name: file.name, size: file.size, hash };
+        FILE_KEYS.set(file, key);
+        return { ...key };
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                if (!ProjectLibrary.isSupported()) {
+                    reject(new Error('IndexedDB is not available in this browser.'));
+                    return;
+                }
+                const request = indexedDB.open(this.name, 2);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('projects')) db.createObjectStore('projects', { keyPath: 'id' });
+                    if (!db.objectStoreNames.contains('ruleSets')) db.createObjectStore('ruleSets', { keyPath: 'name' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    async request(mode, run, storeName = 'projects') {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = run(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * All projects, most recently changed first
+     */
+    async list() {
+        const projects = await this.request('readonly', store => store.getAll());
+        return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    async get(id) {
+        return (await this.request('readonly', store => store.get(id))) || null;
+    }
+
+    /**
+     * Store a project, replacing the one with the same id
+     */
+    async save(project) {
+        const now = Date.now();
+        project.createdAt = project.createdAt || now;
+        project.updatedAt = now;
+        await this.request('readwrite', store => store.put(project));
+        return project;
+    }
+
+    async delete(id) {
+        await this.request('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Saved rule sets ({ name, glossary, rules }), by name
+     */
+    async listRuleSets() {
+        const ruleSets = await this.request('readonly', store => store.getAll(), 'ruleSets');
+        return ruleSets.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async getRuleSet(name) {
+        return (await this.request('readonly', store => store.get(name), 'ruleSets')) || null;
+    }
+
+    /**
+     * Store a rule set, replacing the one with the same name
+     */
+    async saveRuleSet(ruleSet) {
+        if (!ruleSet.name || !ruleSet.name.trim()) throw new Error('A rule set needs a name.');
+        ruleSet.updatedAt = Date.now();
+        await this.request('readwrite', store => store.put(ruleSet), 'ruleSets');
+        return ruleSet;
+    }
+
+    async deleteRuleSet(name) {
+        await this.request('readwrite', store => store.delete(name), 'ruleSets');
+    }
+}
+
+// ===== UI Code (only runs on main page) =====
+
+// Under Node (see cli.js) there is no document, only the classes above are used
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', () => {
+    console.log('Transcriptify: DOM loaded, initializing...');
+
+    // Check if we're on the main page
+    const dropzone = document.getElementById('dropzone');
+    if (!dropzone) {
+        console.log('Transcriptify: Not on main page (no dropzone found)');
+        return;
+    }
+
+    console.log('Transcriptify: Found dropzone, setting up event handlers');
+
+    const fileInput = document.getElementById('fileInput');
+    const processingSection = document.getElementById('processing-section');
+    const resultSection = document.getElementById('result-section');
+    const videoPlayer = document.getElementById('videoPlayer');
+    const transcribeBtn = document.getElementById('transcribeBtn');
+    const cancelBtn = document.getElementById('cancelBtn');
+    const statusEl = document.getElementById('status');
+    const progressContainer = document.getElementById('progress-container');
+    const progressEl = document.getElementById('progress');
+    const progressText = document.getElementById('progress-text');
+    const transcriptEl = document.getElementById('transcript');
+    const copyBtn = document.getElementById('copyBtn');
+    const downloadBtn = document.getElementById('downloadBtn');
+    const formatSelect = document.getElementById('formatSelect');
+    const resegmentToggle = document.getElementById('resegmentToggle');
+    const languageSelect = document.getElementById('languageSelect');
+    const taskSelect = document.getElementById('taskSelect');
+    const modelSelect = document.getElementById('modelSelect');
+    const modelNote = document.getElementById('modelNote');
+    const vadToggle = document.getElementById('vadToggle');
+    const diarizeToggle = document.getElementById('diarizeToggle');
+    const modelManager = document.getElementById('modelManager');
+    const cachedModelsEl = document.getElementById('cachedModels');
+    const downloadModelSelect = document.getElementById('downloadModelSelect');
+    const downloadModelBtn = document.getElementById('downloadModelBtn');
+    const modelManagerStatus = document.getElementById('modelManagerStatus');
+    const queueSection = document.getElementById('queue-section');
+    const queueList = document.getElementById('queueList');
+    const queueStartBtn = document.getElementById('queueStartBtn');
+    const queueStopBtn = document.getElementById('queueStopBtn');
+    const queueClearBtn = document.getElementById('queueClearBtn');
+    const queueFormats = document.getElementById('queueFormats');
+    const queueZipBtn = document.getElementById('queueZipBtn');
+    const micBtn = document.getElementById('micBtn');
+    const tabAudioBtn = document.getElementById('tabAudioBtn');
+    const recordToggle = document.getElementById('recordToggle');
+    const stopLiveBtn = document.getElementById('stopLiveBtn');
+    const markInBtn = document.getElementById('markInBtn');
+    const markOutBtn = document.getElementById('markOutBtn');
+    const clearRangeBtn = document.getElementById('clearRangeBtn');
+    const rangeText = document.getElementById('rangeText');
+    const rangeRedoBtn = document.getElementById('rangeRedoBtn');
+    const saveAudioBtn = document.getElementById('saveAudioBtn');
+    const libraryEl = document.getElementById('library');
+    const projectList = document.getElementById('projectList');
+    const cleanupEl = document.getElementById('cleanup');
+    const glossaryInput = document.getElementById('glossaryInput');
+    const promptInput = document.getElementById('promptInput');
+    const fillersToggle = document.getElementById('fillersToggle');
+    const profanityToggle = document.getElementById('profanityToggle');
+    const ruleList = document.getElementById('ruleList');
+    const addRuleBtn = document.getElementById('addRuleBtn');
+    const applyRulesBtn = document.getElementById('applyRulesBtn');
+    const ruleSetSelect = document.getElementById('ruleSetSelect');
+    const saveRuleSetBtn = document.getElementById('saveRuleSetBtn');
+    const deleteRuleSetBtn = document.getElementById('deleteRuleSetBtn');
+    const cleanupStatus = document.getElementById('cleanupStatus');
+    const transcriptTools = document.getElementById('transcriptTools');
+    const searchInput = document.getElementById('searchInput');
+    const searchCount = document.getElementById('searchCount');
+    const searchPrevBtn = document.getElementById('searchPrevBtn');
+    const searchNextBtn = document.getElementById('searchNextBtn');
+    const chaptersEl = document.getElementById('chapters');
+    const chapterList = document.getElementById('chapterList');
+    const keywordList = document.getElementById('keywordList');
+
+    const editorHint = document.getElementById('editorHint');
+
+    const transcriber = new Transcriber();
+    // Batch jobs share this transcriber, so the model is loaded once for the whole queue
+    const queue = new TranscriptionQueue(transcriber, {
+        onChange: (jobs, job) => {
+            renderQueue(jobs, job);
+            if (job && job.status === 'done') saveResult(job.file, job.result);
+        }
+    });
+    const library = new ProjectLibrary();
+    let currentFile = null;
+    let transcriptionResult = null;
+    // Library entry of what is in the editor, and the lookup of currentFile that finds it
+    let currentProject = null;
+    let projectReady = Promise.resolve(null);
+    // In and out markers on the media, in seconds; null is the start or end of the file
+    let range = { start: null, end: null };
+    // Base name for downloads, taken from the media (or imported subtitle) file
+    let sourceName = 'transcript';
+    // Replacements as edited in the cleanup panel ({ type: 'replace' | 'regex', find, replace, matchCase }),
+    // and the filler and profanity rules the toggles switch on (a saved set may list its own words)
+    let ruleRows = [];
+    let fillersRule = { type: 'fillers' };
+    let profanityRule = { type: 'profanity' };
+    // Chapters shown above the transcript, redetected a moment after editing stops
+    let chapters = [];
+    let chaptersTimer = null;
+
+    Transcriber.getExporters().forEach(exporter => {
+        const option = document.createElement('option');
+        option.value = exporter.format;
+        option.textContent = exporter.label;
+        formatSelect.appendChild(option);
+    });
+    formatSelect.value = 'srt';
+
+    Transcriber.getExporters().forEach(exporter => {
+        const label = document.createElement('label');
+        label.className = 'toggle';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = exporter.format;
+        checkbox.checked = exporter.format === 'srt' || exporter.format === 'txt';
+        label.append(checkbox, exporter.label);
+        queueFormats.appendChild(label);
+    });
+
+    // Edits go straight into the result so copy and downloads use them
+    const editor = new TranscriptEditor(transcriptEl, videoPlayer, {
+        confidenceThreshold: transcriber.options.confidenceThreshold,
+        onChange: (segments) => {
+            if (!transcriptionResult) return;
+            transcriptionResult.segments = segments;
+            transcriptionResult.text = segments.map(s => s.text).filter(Boolean).join(' ');
+            updateCaptionTrack(segments);
+            updateSearchCount();
+            clearTimeout(chaptersTimer);
+            chaptersTimer = setTimeout(() => renderChapters(segments), 500);
+            if (currentProject && currentProject.result === transcriptionResult) saveEdits();
+        }
+    });
+
+    // Drag and drop handlers
+    dropzone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropzone.classList.add('dragover');
+    });
+
+    dropzone.addEventListener('dragleave', () => {
+        dropzone.classList.remove('dragover');
+    });
+
+    dropzone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropzone.classList.remove('dragover');
+
+        const files = e.dataTransfer.files;
+        if (files.length > 0) {
+            handleFiles(files);
+        }
+    });
+
+    dropzone.addEventListener('click', (e) => {
+        e.stopPropagation();
+        fileInput.click();
+    });
+
+    fileInput.addEventListener('change', (e) => {
+        console.log('File input change:', e.target.files);
+        if (e.target.files.length > 0) {
+            handleFiles(e.target.files);
+        }
+    });
+
+    function isMediaFile(file) {
+        // Check MIME type or file extension
+        return file.type.startsWith('video/') ||
+            file.type.startsWith('audio/') ||
+            /\.(mp4|webm|mov|avi|mkv|mp3|wav|m4a|ogg)$/i.test(file.name);
+    }
+
+    function isSubtitleFile(file) {
+        return /\.(srt|vtt)$/i.test(file.name);
+    }
+
+    // A media file and its subtitles can be dropped together; the subtitles load against the video.
+    // Several media files go to the batch queue instead.
+    function handleFiles(files) {
+        const list = Array.from(files);
+        const media = list.filter(isMediaFile);
+        const subtitles = list.find(isSubtitleFile);
+
+        list.filter(file => !isMediaFile(file) && !isSubtitleFile(file))
+            .forEach(file => console.log('Rejected file:', file.name, file.type));
+
+        if (media.length > 1 || (media.length && queue.jobs.length)) {
+            if (subtitles) console.log('Ignored subtitles dropped with several files:', subtitles.name);
+            queue.add(media);
+            // The options in the processing section apply to the whole queue
+            processingSection.classList.remove('hidden');
+            if (!currentFile) transcribeBtn.disabled = true;
+            queueSection.scrollIntoView({ behavior: 'smooth' });
+            return;
+        }
+
+        if (media.length) handleFile(media[0]);
+        if (subtitles) handleSubtitleFile(subtitles);
+    }
+
+    async function handleSubtitleFile(file) {
+        console.log('handleSubtitleFile called with:', file.name, file.size);
+        processingSection.classList.remove('hidden');
+        if (!currentFile) transcribeBtn.disabled = true;
+
+        let segments;
+        try {
+            const text = await file.text();
+            const isVTT = /\.vtt$/i.test(file.name) || /^\uFEFF?WEBVTT/.test(text);
+            segments = isVTT ? Transcriber.fromVTT(text) : Transcriber.fromSRT(text);
+        } catch (error) {
+            console.error('Subtitle import error:', error);
+            statusEl.textContent = `Error in ${file.name}: ${error.message}`;
+            statusEl.style.color = '#ff6b6b';
+            return;
+        }
+
+        if (!currentFile) sourceName = baseName(file.name);
+        transcriptionResult = {
+            text: segments.map(s => s.text).filter(Boolean).join(' '),
+            segments,
+            duration: segments.length ? segments[segments.length - 1].endTime : 0,
+            language: null
+        };
+
+        statusEl.textContent = `Loaded ${segments.length} subtitles from ${file.name}` + (currentFile ? ` for ${currentFile.name}` : '');
+        statusEl.style.color = '';
+        resultSection.classList.remove('hidden');
+        displayTranscript(transcriptionResult);
+        updateCaptionTrack(segments);
+    }
+
+    // Show the current segments as captions on the video, so imported or edited subtitles can be reviewed
+    let captionUrl = null;
+    function updateCaptionTrack(segments) {
+        videoPlayer.querySelectorAll('track').forEach(track => track.remove());
+        if (captionUrl) URL.revokeObjectURL(captionUrl);
+        captionUrl = null;
+        if (!segments || !segments.length) return;
+
+        captionUrl = URL.createObjectURL(new Blob([Transcriber.toVTT(segments)], { type: 'text/vtt' }));
+        const track = document.createElement('track');
+        track.kind = 'subtitles';
+        track.label = 'Transcript';
+        track.src = captionUrl;
+        track.default = true;
+        videoPlayer.appendChild(track);
+        track.track.mode = 'showing';
+    }
+
+    // Search bar and chapters above the transcript; chapters are only worked out for finished transcripts
+    function updateTranscriptTools(segments, editable = true) {
+        transcriptTools.classList.toggle('hidden', !segments.length);
+        updateSearchCount();
+        clearTimeout(chaptersTimer);
+        renderChapters(editable ? segments : []);
+    }
+
+    function updateSearchCount() {
+        const count = editor.matches.length;
+        searchCount.textContent = !editor.query ? ''
+            : !count ? 'No matches'
+                : editor.matchIndex >= 0 ? `${editor.matchIndex + 1} of ${count}`
+                    : `${count} ${count === 1 ? 'match' : 'matches'}`;
+        searchPrevBtn.disabled = !count;
+        searchNextBtn.disabled = !count;
+    }
+
+    function stepMatch(step) {
+        const index = editor.matchIndex < 0 ? (step > 0 ? 0 : -1) : editor.matchIndex + step;
+        editor.showMatch(index);
+        updateSearchCount();
+    }
+
+    function renderChapters(segments) {
+        chapters = Transcriber.detectChapters(segments);
+        const keywords = Transcriber.keywords(segments, { count: 15 });
+        chaptersEl.classList.toggle('hidden', !keywords.length && chapters.length < 2);
+
+        chapterList.textContent = '';
+        if (chapters.length > 1) {
+            chapters.forEach((chapter, index) => {
+                const item = document.createElement('li');
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.dataset.index = index;
+                const time = document.createElement('span');
+                time.className = 'chapter-time';
+                time.textContent = Transcriber.formatTimeChapter(chapter.start);
+                button.append(time, chapter.title);
+                item.appendChild(button);
+                chapterList.appendChild(item);
+            });
+        }
+
+        keywordList.textContent = '';
+        keywords.forEach(keyword => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = keyword.word;
+            button.title = `${keyword.count} mentions`;
+            keywordList.appendChild(button);
+        });
+        updateActiveChapter();
+    }
+
+    function updateActiveChapter() {
+        const time = videoPlayer.currentTime;
+        chapterList.querySelectorAll('button').forEach(button => {
+            const chapter = chapters[button.dataset.index];
+            button.classList.toggle('active', time >= chapter.start && time < chapter.end);
+        });
+    }
+
+    searchInput.addEventListener('input', () => {
+        editor.search(searchInput.value);
+        updateSearchCount();
+    });
+
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        stepMatch(e.shiftKey ? -1 : 1);
+    });
+
+    searchPrevBtn.addEventListener('click', () => stepMatch(-1));
+    searchNextBtn.addEventListener('click', () => stepMatch(1));
+
+    chapterList.addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        videoPlayer.currentTime = chapters[button.dataset.index].start;
+    });
+
+    keywordList.addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        searchInput.value = button.textContent;
+        editor.search(searchInput.value);
+        stepMatch(1);
+    });
+
+    videoPlayer.addEventListener('timeupdate', updateActiveChapter);
+
+    // result is a transcript the file already has (a finished queue job), shown instead of the saved one
+    function handleFile(file, result = null) {
+        console.log('handleFile called with:', file.name, file.type, file.size);
+        currentFile = file;
+        sourceName = baseName(file.name);
+        currentProject = null;
+        projectReady = findProject(file, result);
+
+        // Show video preview
+        const videoUrl = URL.createObjectURL(file);
+        videoPlayer.srcObject = null;
+        videoPlayer.src = videoUrl;
+        saveAudioBtn.classList.add('hidden');
+
+        // Show processing section
+        processingSection.classList.remove('hidden');
+        resultSection.classList.add('hidden');
+
+        // Reset state; findProject() replaces the message once the file has been hashed
+        statusEl.textContent = ProjectLibrary.isSupported()
+            ? `Loaded: ${file.name}. Checking your library for an earlier transcript...`
+            : `Loaded: ${file.name}`;
+        statusEl.style.color = '';
+        progressContainer.classList.add('hidden');
+        progressEl.style.width = '0%';
+        progressText.textContent = '0%';
+        editor.clear();
+        editorHint.classList.add('hidden');
+        searchInput.value = '';
+        editor.search('');
+        updateTranscriptTools([]);
+        transcriptionResult = null;
+        updateCaptionTrack(null);
+        range = { start: null, end: null };
+        updateRange();
+
+        transcribeBtn.disabled = queue.running;
+        transcribeBtn.textContent = 'Start Transcription';
+        cancelBtn.classList.add('hidden');
+
+        // Scroll to processing section
+        processingSection.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    // Look the file up in the library: bring back its transcript, or offer to resume an interrupted run
+    async function findProject(file, result) {
+        if (!ProjectLibrary.isSupported()) return null;
 
+        let project;
+        try {
+            const key = await ProjectLibrary.fileKey(file);
+            project = await library.get(key.id) || key;
+        } catch (error) {
+            console.warn('Project library unavailable:', error);
+            if (currentFile === file) statusEl.textContent = `Loaded: ${file.name}`;
+            return null;
+        }
+        if (currentFile !== file) return project;
+        currentProject = project;
+
+        if (result) {
+            project.result = result;
+        } else if (project.result) {
+            showProject(project);
+            statusEl.textContent = `Restored your transcript of ${file.name} from ${new Date(project.updatedAt).toLocaleString()}`;
+        } else if (project.checkpoint) {
+            statusEl.textContent = `Loaded: ${file.name}. The last transcription stopped at ${project.checkpoint.percent}%; starting again picks up from there.`;
+        } else {
+            statusEl.textContent = `Loaded: ${file.name}`;
+        }
+        if (project.checkpoint) transcribeBtn.textContent = 'Resume Transcription';
+        return project;
+    }
+
+    function showProject(project) {
+        transcriptionResult = project.result;
+        resultSection.classList.remove('hidden');
+        displayTranscript(transcriptionResult);
+        updateCaptionTrack(transcriptionResult.segments);
+    }
+
+    function saveProject(project) {
+        return library.save(project)
+            .then(() => {
+                if (libraryEl.open) refreshLibrary();
+                return project;
+            })
+            .catch(error => console.warn('Could not save the transcript:', error));
+    }
+
+    // Editing fires on every keystroke; save once typing pauses
+    let saveTimer = null;
+    function saveEdits() {
+        const project = currentProject;
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(() => saveProject(project), 500);
+    }
+
+    async function saveResult(file, result) {
+        if (!ProjectLibrary.isSupported()) return;
+        try {
+            const key = await ProjectLibrary.fileKey(file);
+            const { checkpoint, ...project } = await library.get(key.id) || key;
+            return await saveProject({ ...project, result });
+        } catch (error) {
+            console.warn('Could not save the transcript:', error);
+        }
+    }
+
+    // Library: past transcripts with their duration, model, language and date
+    async function refreshLibrary() {
+        let projects = [];
+        try {
+            projects = await library.list();
+        } catch (error) {
+            console.warn('Project library unavailable:', error);
+        }
+
+        projectList.textContent = '';
+        if (!projects.length) {
+            const empty = document.createElement('li');
+            empty.className = 'empty';
+            empty.textContent = ProjectLibrary.isSupported() ? 'No saved transcripts yet.' : 'This browser cannot store transcripts.';
+            projectList.appendChild(empty);
+            return;
+        }
+
+        projects.forEach(project => {
+            const item = document.createElement('li');
+            const info = document.createElement('div');
+            info.className = 'project-info';
+            const name = document.createElement('div');
+            name.className = 'project-name';
+            name.textContent = project.name;
+            name.title = project.name;
+            const meta = document.createElement('div');
+            meta.className = 'project-meta';
+            const details = project.result
+                ? [Transcriber.formatDuration(project.result.duration), project.result.model, project.result.language]
+                : [`Interrupted at ${project.checkpoint.percent}%`, project.checkpoint.settings.model];
+            meta.textContent = [...details.filter(Boolean), new Date(project.updatedAt).toLocaleString()].join(' · ');
+            info.append(name, meta);
+
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'btn-secondary';
+            open.dataset.action = 'open';
+            open.dataset.id = project.id;
+            open.textContent = 'Open';
+            const remove = open.cloneNode();
+            remove.dataset.action = 'delete';
+            remove.textContent = 'Delete';
+            item.append(info, open, remove);
+            projectList.appendChild(item);
+        });
+    }
+
+    libraryEl.addEventListener('toggle', () => {
+        if (libraryEl.open) refreshLibrary();
+    });
+
+    projectList.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const project = await library.get(button.dataset.id);
+        if (!project) return refreshLibrary();
+
+        if (button.dataset.action === 'delete') {
+            if (!window.confirm(`Delete the saved transcript of ${project.name}?`)) return;
+            await library.delete(project.id);
+            if (currentProject && currentProject.id === project.id) currentProject = null;
+            refreshLibrary();
+        } else {
+            openProject(project);
+        }
+    });
+
+    // The media file itself isn't stored; selecting it again plays it alongside (or resumes)
+    function openProject(project) {
+        if (transcriber.isTranscribing) {
+            statusEl.textContent = 'Wait for the current transcription to finish before opening another transcript.';
+            return;
+        }
+
+        currentFile = null;
+        currentProject = project;
+        projectReady = Promise.resolve(project);
+        sourceName = baseName(project.name);
+        videoPlayer.removeAttribute('src');
+        videoPlayer.load();
+        processingSection.classList.remove('hidden');
+        progressContainer.classList.add('hidden');
+        transcribeBtn.disabled = true;
+        statusEl.style.color = '';
+
+        if (project.result) {
+            showProject(project);
+            statusEl.textContent = `Opened ${project.name}. Select the file again to play it alongside the transcript.`;
+        } else {
+            transcriptionResult = null;
+            resultSection.classList.remove('hidden');
+            displayTranscript({ text: '', segments: project.checkpoint.segments }, false);
+            updateCaptionTrack(null);
+            statusEl.textContent = `${project.name} was transcribed up to ${project.checkpoint.percent}%. Select the file again to finish it.`;
+        }
+        resultSection.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    // Vocabulary and cleanup: the glossary and context go to Whisper, the rules to every download
+    function vocabularyOptions() {
+        return { glossary: glossaryInput.value, prompt: promptInput.value };
+    }
+
+    // In the order they run: fillers go first so replacements see clean text, profanity is masked last
+    function currentRules() {
+        const rules = ruleRows.filter(row => row.find && ruleValid(row)).map(rowRule);
+        if (fillersToggle.checked) rules.unshift(fillersRule);
+        if (profanityToggle.checked) rules.push(profanityRule);
+        return rules;
+    }
+
+    function rowRule(row) {
+        return row.type === 'regex'
+            ? { type: 'regex', pattern: row.find, flags: row.matchCase ? 'g' : 'gi', replace: row.replace }
+            : { type: 'replace', find: row.find, replace: row.replace, matchCase: row.matchCase };
+    }
+
+    function ruleValid(row) {
+        try {
+            Transcriber.compileRule(rowRule(row));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function loadRules(rules) {
+        fillersRule = rules.find(rule => rule.type === 'fillers') || { type: 'fillers' };
+        profanityRule = rules.find(rule => rule.type === 'profanity') || { type: 'profanity' };
+        fillersToggle.checked = rules.includes(fillersRule);
+        profanityToggle.checked = rules.includes(profanityRule);
+        ruleRows = rules.filter(rule => rule.type === 'replace' || rule.type === 'regex').map(rule => rule.type === 'regex'
+            ? { type: 'regex', find: rule.pattern, replace: rule.replace || '', matchCase: !(rule.flags !== undefined ? rule.flags : 'gi').includes('i') }
+            : { type: 'replace', find: rule.find, replace: rule.replace || '', matchCase: Boolean(rule.matchCase) });
+        renderRules();
+    }
+
+    function renderRules() {
+        ruleList.textContent = '';
+        ruleRows.forEach((row, index) => {
+            const item = document.createElement('li');
+            item.dataset.index = index;
+            const type = document.createElement('select');
+            type.className = 'format-select';
+            type.dataset.field = 'type';
+            type.title = 'Find the text as written, or a regular expression';
+            type.add(new Option('Text', 'replace'));
+            type.add(new Option('Pattern', 'regex'));
+            type.value = row.type;
+            const find = document.createElement('input');
+            find.type = 'text';
+            find.className = 'text-input';
+            find.dataset.field = 'find';
+            find.placeholder = row.type === 'regex' ? 'Regular expression' : 'Find';
+            find.value = row.find;
+            find.classList.toggle('invalid', !ruleValid(row));
+            const arrow = document.createElement('span');
+            arrow.className = 'rule-arrow';
+            arrow.textContent = '→';
+            const replace = find.cloneNode();
+            replace.dataset.field = 'replace';
+            replace.placeholder = row.type === 'regex' ? 'Replace with ($1 for a group)' : 'Replace with';
+            replace.value = row.replace;
+            replace.classList.remove('invalid');
+            const matchCase = document.createElement('label');
+            matchCase.className = 'toggle';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.field = 'matchCase';
+            checkbox.checked = row.matchCase;
+            matchCase.append(checkbox, 'Match case');
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn-secondary btn-small';
+            remove.dataset.action = 'remove';
+            remove.textContent = 'Remove';
+            item.append(type, find, arrow, replace, matchCase, remove);
+            ruleList.appendChild(item);
+        });
+    }
+
+    function rulesChanged() {
+        applyRulesBtn.disabled = !transcriptionResult || editor.readOnly || !currentRules().length;
+        cleanupStatus.textContent = '';
+    }
+
+    ruleList.addEventListener('input', (e) => {
+        const field = e.target.dataset.field;
+        const item = e.target.closest('li[data-index]');
+        if (!field || !item) return;
+        const row = ruleRows[item.dataset.index];
+        row[field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        if (field === 'type') {
+            renderRules();
+        } else {
+            item.querySelector('[data-field="find"]').classList.toggle('invalid', !ruleValid(row));
+        }
+        rulesChanged();
+    });
+
+    ruleList.addEventListener('click', (e) => {
+        const remove = e.target.closest('button[data-action="remove"]');
+        if (!remove) return;
+        ruleRows.splice(Number(remove.closest('li[data-index]').dataset.index), 1);
+        renderRules();
+        rulesChanged();
+    });
+
+    addRuleBtn.addEventListener('click', () => {
+        ruleRows.push({ type: 'replace', find: '', replace: '', matchCase: false });
+        renderRules();
+        ruleList.lastElementChild.querySelector('[data-field="find"]').focus();
+    });
+
+    fillersToggle.addEventListener('change', rulesChanged);
+    profanityToggle.addEventListener('change', rulesChanged);
+
+    applyRulesBtn.addEventListener('click', () => {
+        if (!transcriptionResult) return;
+        editor.applyRules(currentRules());
+        cleanupStatus.textContent = 'Applied to the transcript. Ctrl+Z in the transcript undoes it.';
+    });
+
+    // Rule sets keep the vocabulary and rules in the library, to pick up again in another session
+    async function refreshRuleSets(selected = ruleSetSelect.value) {
+        let ruleSets = [];
+        try {
+            ruleSets = await library.listRuleSets();
+        } catch (error) {
+            console.warn('Rule sets unavailable:', error);
+        }
+        ruleSetSelect.textContent = '';
+        ruleSetSelect.add(new Option(ruleSets.length ? 'Saved rule sets…' : 'No saved rule sets', ''));
+        ruleSets.forEach(ruleSet => ruleSetSelect.add(new Option(ruleSet.name, ruleSet.name)));
+        ruleSetSelect.value = ruleSets.some(ruleSet => ruleSet.name === selected) ? selected : '';
+        deleteRuleSetBtn.disabled = !ruleSetSelect.value;
+    }
+
+    cleanupEl.addEventListener('toggle', () => {
+        if (cleanupEl.open) refreshRuleSets();
+    });
+
+    ruleSetSelect.addEventListener('change', async () => {
+        deleteRuleSetBtn.disabled = !ruleSetSelect.value;
+        if (!ruleSetSelect.value) return;
+        const ruleSet = await library.getRuleSet(ruleSetSelect.value);
+        if (!ruleSet) return refreshRuleSets('');
+        glossaryInput.value = (ruleSet.glossary || []).join(', ');
+        loadRules(ruleSet.rules || []);
+        rulesChanged();
+        cleanupStatus.textContent = `Loaded ${ruleSet.name}`;
+    });
+
+    saveRuleSetBtn.addEventListener('click', async () => {
+        const name = (window.prompt('Save the vocabulary and rules as:', ruleSetSelect.value) || '').trim();
+        if (!name) return;
+        try {
+            await library.saveRuleSet({ name, glossary: Transcriber.parseGlossary(glossaryInput.value), rules: currentRules() });
+            await refreshRuleSets(name);
+            cleanupStatus.textContent = `Saved ${name}`;
+        } catch (error) {
+            cleanupStatus.textContent = `Could not save the rule set: ${error.message}`;
+        }
+    });
+
+    deleteRuleSetBtn.addEventListener('click', async () => {
+        const name = ruleSetSelect.value;
+        if (!name || !window.confirm(`Delete the rule set ${name}?`)) return;
+        await library.deleteRuleSet(name);
+        await refreshRuleSets('');
+        cleanupStatus.textContent = `Deleted ${name}`;
+    });
+
+    // English-only models can't handle other languages or translation; switch to the multilingual one
+    function updateModelChoice() {
+        const needsMultilingual = languageSelect.value !== 'en' || taskSelect.value === 'translate';
+        if (needsMultilingual && Transcriber.isEnglishOnlyModel(modelSelect.value)) {
+            modelSelect.value = Transcriber.getMultilingualModel(modelSelect.value);
+            modelNote.textContent = `Switched to ${modelSelect.options[modelSelect.selectedIndex].text} because English-only models can't ${taskSelect.value === 'translate' ? 'translate' : 'transcribe other languages'}.`;
+            modelNote.classList.remove('hidden');
+        } else if (!needsMultilingual) {
+            modelNote.classList.add('hidden');
+        }
+    }
+
+    languageSelect.addEventListener('change', updateModelChoice);
+    taskSelect.addEventListener('change', updateModelChoice);
+    modelSelect.addEventListener('change', () => {
+        modelNote.classList.add('hidden');
+        updateModelChoice();
+    });
+
+    // Model manager: list, pre-download and delete models kept in the browser cache
+    Array.from(modelSelect.options).forEach(option => downloadModelSelect.appendChild(option.cloneNode(true)));
+
+    async function refreshCachedModels() {
+        const models = await transcriber.listCachedModels();
+        cachedModelsEl.textContent = '';
+        if (!models.length) {
+            const empty = document.createElement('li');
+            empty.className = 'empty';
+            empty.textContent = typeof caches === 'undefined' ? 'This browser does not keep a model cache.' : 'No models downloaded yet.';
+            cachedModelsEl.appendChild(empty);
+            return;
+        }
+        models.forEach(({ model, size }) => {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.className = 'model-name';
+            name.textContent = model;
+            const sizeEl = document.createElement('span');
+            sizeEl.className = 'model-size';
+            sizeEl.textContent = Transcriber.formatBytes(size);
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn-secondary';
+            remove.dataset.model = model;
+            remove.textContent = 'Delete';
+            item.append(name, sizeEl, remove);
+            cachedModelsEl.appendChild(item);
+        });
+    }
+
+    modelManager.addEventListener('toggle', () => {
+        if (modelManager.open) refreshCachedModels();
+    });
+
+    cachedModelsEl.addEventListener('click', async (e) => {
+        const remove = e.target.closest('button[data-model]');
+        if (!remove) return;
+        const { model } = remove.dataset;
+        if (!window.confirm(`Delete ${model} from this browser? It will be downloaded again when needed.`)) return;
+        await transcriber.deleteCachedModel(model);
+        modelManagerStatus.textContent = `Deleted ${model}`;
+        refreshCachedModels();
+    });
+
+    downloadModelBtn.addEventListener('click', async () => {
+        if (transcriber.isTranscribing) {
+            modelManagerStatus.textContent = 'Wait for the transcription to finish before downloading another model.';
+            return;
+        }
+        const model = downloadModelSelect.value;
+        downloadModelBtn.disabled = true;
+        try {
+            await transcriber.downloadModel(model, (progress) => {
+                modelManagerStatus.textContent = progress.message;
+            });
+            modelManagerStatus.textContent = `${model} is ready for offline use`;
+        } catch (error) {
+            modelManagerStatus.textContent = `Download failed: ${error.message}`;
+        } finally {
+            downloadModelBtn.disabled = false;
+            refreshCachedModels();
+        }
+    });
+
+    function setOptionsDisabled(disabled) {
+        [languageSelect, taskSelect, modelSelect, vadToggle, diarizeToggle].forEach(input => input.disabled = disabled);
+    }
+
+    // Range markers: transcribe only part of the file, or redo that part of an existing transcript
+    function updateRange() {
+        const set = range.start !== null || range.end !== null;
+        rangeText.textContent = set
+            ? `${Transcriber.formatTimeDisplay(range.start || 0, 1)} – ${range.end !== null ? Transcriber.formatTimeDisplay(range.end, 1) : 'end'}`
+            : 'Whole file';
+        clearRangeBtn.classList.toggle('hidden', !set);
+        rangeRedoBtn.classList.toggle('hidden', !set || !currentFile || !transcriptionResult || !transcriptionResult.segments.length);
+    }
+
+    function rangeOptions() {
+        return {
+            start: range.start !== null ? range.start : undefined,
+            end: range.end !== null ? range.end : undefined
+        };
+    }
+
+    markInBtn.addEventListener('click', () => {
+        range.start = videoPlayer.currentTime;
+        if (range.end !== null && range.end <= range.start) range.end = null;
+        updateRange();
+    });
+
+    markOutBtn.addEventListener('click', () => {
+        range.end = videoPlayer.currentTime;
+        if (range.start !== null && range.start >= range.end) range.start = null;
+        // An end at 0:00 would select nothing
+        if (range.end <= 0) range.end = null;
+        updateRange();
+    });
+
+    clearRangeBtn.addEventListener('click', () => {
+        range = { start: null, end: null };
+        updateRange();
+    });
+
+    // Transcribe the range again and splice the new segments into the transcript in place of the old ones
+    rangeRedoBtn.addEventListener('click', async () => {
+        if (!currentFile || !transcriptionResult || transcriber.isTranscribing || queue.running) return;
+        const result = transcriptionResult;
+        const start = range.start || 0;
+        const end = range.end !== null ? range.end : Infinity;
+
+        transcriber.setModel(modelSelect.value);
+        setOptionsDisabled(true);
+        transcribeBtn.disabled = true;
+        rangeRedoBtn.disabled = true;
+        cancelBtn.classList.remove('hidden');
+        progressContainer.classList.remove('hidden');
+        statusEl.style.color = '';
+
+        try {
+            const redo = await transcriber.transcribe(currentFile, {
+                language: languageSelect.value,
+                task: taskSelect.value,
+                vad: vadToggle.checked,
+                // Speakers found in one range would not match the labels in the rest of the transcript
+                diarize: false,
+                ...rangeOptions(),
+                ...vocabularyOptions(),
+                onProgress: (progress) => {
+                    statusEl.textContent = progress.message || progress.status;
+                    if (progress.percent !== undefined) {
+                        progressEl.style.width = `${progress.percent}%`;
+                        progressText.textContent = `${progress.percent}%`;
+                    }
+                }
+            });
+
+            const replaced = result.segments.filter(segment => {
+                const middle = (segment.startTime + segment.endTime) / 2;
+                return middle >= start && middle < end;
+            }).length;
+            result.segments = Transcriber.spliceSegments(result.segments, redo.segments, start, end);
+            result.text = result.segments.map(s => s.text).filter(Boolean).join(' ');
+            result.confidence = Transcriber.confidenceSummary(result.segments, transcriber.options.confidenceThreshold);
+
+            statusEl.textContent = `Re-transcribed ${rangeText.textContent}: ${replaced} segment${replaced === 1 ? '' : 's'} replaced by ${redo.segments.length}.`;
+            if (transcriptionResult === result) {
+                displayTranscript(result);
+                updateCaptionTrack(result.segments);
+                if (currentProject && currentProject.result === result) saveEdits();
+            }
+        } catch (error) {
+            console.error('Range transcription error:', error);
+            if (error.message !== 'Cancelled') {
+                statusEl.textContent = `Error: ${error.message}`;
+                statusEl.style.color = '#ff6b6b';
+            } else {
+                statusEl.textContent = 'Transcription cancelled';
+            }
+        } finally {
+            setOptionsDisabled(false);
+            transcribeBtn.disabled = !currentFile;
+            rangeRedoBtn.disabled = false;
+            cancelBtn.classList.add('hidden');
+        }
+    });
+
+    transcribeBtn.addEventListener('click', async () => {
+        if (!currentFile || queue.running) return;
+        // The library key hashes the whole file, so a large video may still be being read
+        const file = currentFile;
+        transcribeBtn.disabled = true;
+        statusEl.textContent = `Reading ${file.name} to match it with your library...`;
+        const project = await projectReady;
+        if (currentFile !== file) return;
+
+        transcriber.setModel(modelSelect.value);
+        setOptionsDisabled(true);
         transcribeBtn.disabled = true;
         cancelBtn.classList.remove('hidden');
         progressContainer.classList.remove('hidden');
@@ -441,10 +6038,26 @@ document.addEventListener('DOMContentLoaded', () => {
 
         statusEl.textContent = 'Initializing...';
         statusEl.style.color = '';
+        editor.clear();
+        editorHint.classList.add('hidden');
+        updateTranscriptTools([]);
+        transcriptionResult = null;
         transcriptEl.innerHTML = '<span style="color: var(--text-muted);">Preparing to transcribe...</span>';
 
         try {
             transcriptionResult = await transcriber.transcribe(currentFile, {
+                language: languageSelect.value,
+                task: taskSelect.value,
+                vad: vadToggle.checked,
+                diarize: diarizeToggle.checked,
+                ...rangeOptions(),
+                ...vocabularyOptions(),
+                resume: project && project.checkpoint,
+                // Saved after every window, so a reload or crash loses at most one window of work
+                onCheckpoint: project ? (checkpoint) => {
+                    project.checkpoint = checkpoint;
+                    saveProject(project);
+                } : null,
                 onProgress: (progress) => {
                     statusEl.textContent = progress.message || progress.status;
                     if (progress.percent !== undefined) {
@@ -457,24 +6070,40 @@ document.addEventListener('DOMContentLoaded', () => {
                         transcriptEl.innerHTML = `<span style="color: var(--text-muted);">Loading Whisper AI model... This may take a moment on first use.</span>`;
                     } else if (progress.status === 'extracting' || progress.status === 'decoding') {
                         transcriptEl.innerHTML = `<span style="color: var(--text-muted);">Extracting audio from video...</span>`;
-                    } else if (progress.status === 'transcribing') {
+                    } else if (progress.status === 'transcribing' && !transcriber.segments.length) {
                         transcriptEl.innerHTML = `<span style="color: var(--text-muted);">Transcribing with Whisper AI... This runs entirely in your browser.</span>`;
                     }
                 },
-                onPartialResult: (text) => {
-                    if (text.trim()) {
-                        transcriptEl.innerHTML = `<span style="color: var(--text-muted);">${text}</span>`;
-                    }
+                onPartialResult: (text, segments) => {
+                    // Keep following the newest segments unless the user scrolled up to read
+                    const atBottom = transcriptEl.scrollTop + transcriptEl.clientHeight >= transcriptEl.scrollHeight - 20;
+                    displayTranscript({ text, segments }, false);
+                    if (atBottom) transcriptEl.scrollTop = transcriptEl.scrollHeight;
                 }
             });
 
-            statusEl.textContent = 'Transcription complete!';
+            statusEl.textContent = languageSelect.value === 'auto'
+                ? `Transcription complete! Detected language: ${transcriptionResult.language}`
+                : 'Transcription complete!';
+            const { lowShare, lowSegments, threshold } = transcriptionResult.confidence;
+            if (lowSegments) {
+                statusEl.textContent += ` ${Math.round(lowShare * 100)}% of the speech (${lowSegments} segment${lowSegments === 1 ? '' : 's'}) is below ${Math.round(threshold * 100)}% confidence and highlighted for review.`;
+            }
             cancelBtn.classList.add('hidden');
+            setOptionsDisabled(false);
+            transcribeBtn.textContent = 'Start Transcription';
             progressEl.style.width = '100%';
             progressText.textContent = '100%';
 
+            if (project) {
+                delete project.checkpoint;
+                project.result = transcriptionResult;
+                saveProject(project);
+            }
+
             // Display final result with timestamps
             displayTranscript(transcriptionResult);
+            updateCaptionTrack(transcriptionResult.segments);
 
         } catch (error) {
             console.error('Transcription error:', error);
@@ -484,39 +6113,287 @@ document.addEventListener('DOMContentLoaded', () => {
             } else {
                 statusEl.textContent = 'Transcription cancelled';
             }
+            setOptionsDisabled(false);
             transcribeBtn.disabled = false;
+            if (project && project.checkpoint) transcribeBtn.textContent = 'Resume Transcription';
+            cancelBtn.classList.add('hidden');
+        }
+    });
+
+    // Live captions from the microphone or a shared tab; the session becomes a file once it ends
+    async function startLive(capture) {
+        if (transcriber.isTranscribing || queue.running) {
+            statusEl.textContent = 'Wait for the current transcription to finish before starting a live one.';
+            return;
+        }
+
+        processingSection.classList.remove('hidden');
+        statusEl.style.color = '';
+        let stream;
+        try {
+            stream = await capture();
+        } catch (error) {
+            console.error('Capture error:', error);
+            statusEl.textContent = `Could not capture audio: ${error.message}`;
+            statusEl.style.color = '#ff6b6b';
+            return;
+        }
+
+        const started = new Date();
+        currentFile = null;
+        currentProject = null;
+        projectReady = Promise.resolve(null);
+        const pad = (n) => String(n).padStart(2, '0');
+        sourceName = `Live ${started.getFullYear()}-${pad(started.getMonth() + 1)}-${pad(started.getDate())} ${pad(started.getHours())}-${pad(started.getMinutes())}`;
+        videoPlayer.removeAttribute('src');
+        // A shared tab is previewed muted; it is already playing in its own tab
+        videoPlayer.srcObject = stream.getVideoTracks().length ? stream : null;
+        videoPlayer.muted = true;
+        saveAudioBtn.classList.add('hidden');
+
+        transcriber.setModel(modelSelect.value);
+        setOptionsDisabled(true);
+        transcribeBtn.disabled = true;
+        stopLiveBtn.classList.remove('hidden');
+        cancelBtn.classList.remove('hidden');
+        progressContainer.classList.add('hidden');
+        resultSection.classList.remove('hidden');
+        editor.clear();
+        editorHint.classList.add('hidden');
+        updateTranscriptTools([]);
+        transcriptionResult = null;
+        updateCaptionTrack(null);
+        transcriptEl.innerHTML = '<span style="color: var(--text-muted);">Listening... captions appear as people speak.</span>';
+        resultSection.scrollIntoView({ behavior: 'smooth' });
+
+        try {
+            const { recording, ...result } = await transcriber.transcribeStream(stream, {
+                language: languageSelect.value,
+                task: taskSelect.value,
+                vad: vadToggle.checked,
+                record: recordToggle.checked,
+                ...vocabularyOptions(),
+                onProgress: (progress) => {
+                    statusEl.textContent = progress.message || progress.status;
+                },
+                onPartialResult: (text, segments, provisional) => {
+                    const atBottom = transcriptEl.scrollTop + transcriptEl.clientHeight >= transcriptEl.scrollHeight - 20;
+                    displayTranscript({ text, segments: [...segments, ...provisional] }, false);
+                    if (atBottom) transcriptEl.scrollTop = transcriptEl.scrollHeight;
+                }
+            });
+
+            transcriptionResult = result;
+            videoPlayer.srcObject = null;
+            videoPlayer.muted = false;
+            if (recording) {
+                const extension = /ogg/.test(recording.type) ? 'ogg' : /mp4/.test(recording.type) ? 'm4a' : 'webm';
+                currentFile = new File([recording], `${sourceName}.${extension}`, { type: recording.type });
+                videoPlayer.src = URL.createObjectURL(currentFile);
+                saveAudioBtn.classList.remove('hidden');
+                // Saved like any other file, so selecting the recording later brings the transcript back
+                projectReady = saveResult(currentFile, result).then(project => {
+                    if (project && transcriptionResult === result) currentProject = project;
+                    return project || null;
+                });
+            }
+
+            statusEl.textContent = `Live session ended after ${Transcriber.formatDuration(result.duration)}.`;
+            displayTranscript(result);
+            updateCaptionTrack(result.segments);
+        } catch (error) {
+            console.error('Live transcription error:', error);
+            if (error.message !== 'Cancelled') {
+                statusEl.textContent = `Error: ${error.message}`;
+                statusEl.style.color = '#ff6b6b';
+            } else {
+                statusEl.textContent = 'Live transcription cancelled';
+            }
+            videoPlayer.srcObject = null;
+        } finally {
+            // Release the microphone or end the screen share
+            stream.getTracks().forEach(track => track.stop());
+            stopLiveBtn.classList.add('hidden');
             cancelBtn.classList.add('hidden');
+            setOptionsDisabled(false);
+            transcribeBtn.disabled = !currentFile;
         }
+    }
+
+    micBtn.addEventListener('click', () => startLive(() => navigator.mediaDevices.getUserMedia({ audio: true })));
+    // Browsers only share tab audio along with video; the video is just previewed
+    tabAudioBtn.addEventListener('click', () => startLive(() => navigator.mediaDevices.getDisplayMedia({ video: true, audio: true })));
+
+    stopLiveBtn.addEventListener('click', () => {
+        statusEl.textContent = 'Finishing the last captions...';
+        stopLiveBtn.classList.add('hidden');
+        transcriber.stop();
+    });
+
+    saveAudioBtn.addEventListener('click', () => {
+        if (currentFile) downloadFile(currentFile, currentFile.name);
     });
 
     cancelBtn.addEventListener('click', () => {
         transcriber.cancel();
         statusEl.textContent = 'Transcription cancelled';
+        setOptionsDisabled(false);
         transcribeBtn.disabled = false;
         cancelBtn.classList.add('hidden');
         progressContainer.classList.add('hidden');
     });
 
-    function displayTranscript(result) {
+    // Batch queue: one row per file with its progress and controls
+    function renderQueue(jobs, job) {
+        queueSection.classList.toggle('hidden', !jobs.length);
+        queueStartBtn.classList.toggle('hidden', queue.running);
+        queueStopBtn.classList.toggle('hidden', !queue.running);
+        queueStartBtn.disabled = !jobs.some(j => j.status === 'queued');
+        queueClearBtn.disabled = !jobs.some(j => j.status !== 'queued' && j.status !== 'running');
+        queueZipBtn.disabled = !jobs.some(j => j.status === 'done');
+
+        // Progress updates only touch their own row
+        const row = job && queueList.querySelector(`[data-id="${job.id}"]`);
+        if (row && row.dataset.status === job.status) {
+            row.querySelector('.job-status').textContent = job.message;
+            row.querySelector('.progress').style.width = `${job.progress}%`;
+            return;
+        }
+
+        queueList.textContent = '';
+        jobs.forEach((j, index) => queueList.appendChild(renderJob(j, index, jobs.length)));
+    }
+
+    function renderJob(job, index, count) {
+        const item = document.createElement('li');
+        item.className = 'queue-job';
+        item.dataset.id = job.id;
+        item.dataset.status = job.status;
+
+        const name = document.createElement('span');
+        name.className = 'job-name';
+        name.textContent = job.file.name;
+        name.title = job.file.name;
+
+        const status = document.createElement('span');
+        status.className = 'job-status';
+        status.textContent = job.message;
+
+        const actions = document.createElement('div');
+        actions.className = 'job-actions';
+        const button = (action, label, title, disabled = false) => {
+            const el = document.createElement('button');
+            el.type = 'button';
+            el.dataset.action = action;
+            el.textContent = label;
+            el.title = title;
+            el.disabled = disabled;
+            actions.appendChild(el);
+        };
+        button('up', '↑', 'Move up', index === 0);
+        button('down', '↓', 'Move down', index === count - 1);
+        if (job.status === 'done') button('open', 'Open', 'Open in the editor');
+        if (job.status === 'queued' || job.status === 'running') button('cancel', 'Cancel', 'Cancel this file');
+        else button('remove', 'Remove', 'Remove from the queue');
+
+        const bar = document.createElement('div');
+        bar.className = 'progress-bar';
+        const progress = document.createElement('div');
+        progress.className = 'progress';
+        progress.style.width = `${job.progress}%`;
+        bar.appendChild(progress);
+
+        item.append(name, status, actions, bar);
+        return item;
+    }
+
+    queueList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const id = Number(button.closest('.queue-job').dataset.id);
+        const index = queue.jobs.findIndex(job => job.id === id);
+
+        switch (button.dataset.action) {
+            case 'up': queue.move(id, index - 1); break;
+            case 'down': queue.move(id, index + 1); break;
+            case 'cancel': queue.cancel(id); break;
+            case 'remove': queue.remove(id); break;
+            case 'open': openJob(queue.get(id)); break;
+        }
+    });
+
+    // Load a finished file into the editor; edits are saved into the job, so the zip includes them
+    function openJob(job) {
+        handleFile(job.file, job.result);
+        transcriptionResult = job.result;
+        statusEl.textContent = `Opened ${job.file.name} from the queue`;
+        resultSection.classList.remove('hidden');
+        displayTranscript(transcriptionResult);
+        updateCaptionTrack(transcriptionResult.segments);
+    }
+
+    queueStartBtn.addEventListener('click', async () => {
+        if (transcriber.isTranscribing) {
+            statusEl.textContent = 'Wait for the current transcription to finish before starting the queue.';
+            return;
+        }
+
+        transcriber.setModel(modelSelect.value);
+        setOptionsDisabled(true);
+        transcribeBtn.disabled = true;
+        try {
+            await queue.start({
+                language: languageSelect.value,
+                task: taskSelect.value,
+                vad: vadToggle.checked,
+                diarize: diarizeToggle.checked,
+                ...vocabularyOptions()
+            });
+        } finally {
+            setOptionsDisabled(false);
+            transcribeBtn.disabled = !currentFile;
+        }
+    });
+
+    queueStopBtn.addEventListener('click', () => queue.stop());
+
+    queueClearBtn.addEventListener('click', () => {
+        queue.jobs.filter(job => job.status !== 'queued' && job.status !== 'running')
+            .forEach(job => queue.remove(job.id));
+    });
+
+    queueZipBtn.addEventListener('click', () => {
+        const formats = Array.from(queueFormats.querySelectorAll('input:checked')).map(input => input.value);
+        if (!formats.length) return;
+        downloadFile(queue.toZip(formats, { resegment: resegmentToggle.checked, rules: currentRules() }), 'transcripts.zip');
+    });
+
+    function displayTranscript(result, editable = true) {
+        updateRange();
+        applyRulesBtn.disabled = !editable || !currentRules().length;
         if (!result.segments.length && !result.text) {
+            editor.clear();
+            updateTranscriptTools([]);
             transcriptEl.innerHTML = '<span style="color: var(--text-muted);">No speech detected in the video.</span>';
             return;
         }
 
         if (result.segments.length > 0) {
-            transcriptEl.innerHTML = result.segments.map(segment => `
-                <div class="segment">
-                    <div class="timestamp">${Transcriber.formatTimeDisplay(segment.startTime)} - ${Transcriber.formatTimeDisplay(segment.endTime)}</div>
-                    <div>${segment.text}</div>
-                </div>
-            `).join('');
+            // Live results are read-only; editing starts once the transcription has finished
+            editor.setSegments(result.segments, { readOnly: !editable });
+            editorHint.classList.toggle('hidden', !editable);
         } else {
+            editor.clear();
             transcriptEl.textContent = result.text;
         }
+        updateTranscriptTools(result.segments, editable);
     }
 
     copyBtn.addEventListener('click', () => {
-        const text = transcriptionResult ? transcriptionResult.text : transcriptEl.textContent;
+        const rules = currentRules();
+        const text = !transcriptionResult ? transcriptEl.textContent
+            : rules.length ? Transcriber.applyRules(transcriptionResult.segments, rules).map(s => s.text).join(' ')
+                : transcriptionResult.text;
         navigator.clipboard.writeText(text).then(() => {
             const originalHTML = copyBtn.innerHTML;
             copyBtn.innerHTML = '✓';
@@ -529,30 +6406,36 @@ document.addEventListener('DOMContentLoaded', () => {
     downloadBtn.addEventListener('click', () => {
         if (!transcriptionResult) return;
 
-        const blob = new Blob([transcriptionResult.text], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'transcript.txt';
-        a.click();
-        URL.revokeObjectURL(url);
-    });
+        const exporter = Transcriber.getExporters().find(e => e.format === formatSelect.value);
+        if (exporter.subtitles && !transcriptionResult.segments.length) return;
 
-    downloadSrtBtn.addEventListener('click', () => {
-        if (!transcriptionResult || !transcriptionResult.segments.length) return;
+        const content = Transcriber.export(exporter.format, transcriptionResult, {
+            resegment: resegmentToggle.checked,
+            rules: currentRules(),
+            title: sourceName,
+            source: currentFile ? currentFile.name : null
+        });
+        downloadFile(content, `${sourceName}.${exporter.extension}`, exporter.mimeType);
+    });
 
-        const srt = Transcriber.toSRT(transcriptionResult.segments);
-        const blob = new Blob([srt], { type: 'text/plain' });
+    // content may already be a Blob (the queue's zip)
+    function downloadFile(content, filename, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'transcript.srt';
+        a.download = filename;
         a.click();
         URL.revokeObjectURL(url);
-    });
+    }
+
+    // "Lecture 1.final.mp4" -> "Lecture 1.final"
+    function baseName(filename) {
+        return filename.replace(/\.[^.]+$/, '') || 'transcript';
+    }
 });
 
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Transcriber };
+    module.exports = { Transcriber, WhisperEngine, MockEngine, TranscriptEditor, TranscriptionQueue, ProjectLibrary };
 }
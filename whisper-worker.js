@@ -0,0 +1,379 @@
+/**
+ * Transcriptify - Whisper worker
+ * Loads the model and runs inference off the main thread so the page stays responsive.
+ * Talks to Transcriber through { id, type } messages; terminating it aborts any work in flight.
+ */
+
+// Where transformers.js is imported from unless the page sends its own runtime settings
+const DEFAULT_RUNTIME_URL = 'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.1';
+
+// Imports of transformers.js by URL, so a later runtime.url is imported rather than ignored
+const runtimes = new Map();
+let asr = null;
+let loadedModel = null;
+let loadedRuntime = null;
+
+// Languages the tokenizer splits into words by character rather than at spaces
+const UNSPACED_LANGUAGES = { zh: 'chinese', ja: 'japanese', th: 'thai', lo: 'lao', my: 'myanmar' };
+
+// Whisper was trained with prompts of at most half its 448-token context; longer ones keep their end
+const MAX_PROMPT_TOKENS = 223;
+
+// Speaker verification model used for diarization, loaded only when asked for
+let speakerProcessor = null;
+let speakerModel = null;
+let loadedSpeakerModel = null;
+
+/**
+ * Import transformers.js (once per URL) and point it at the configured model location
+ * runtime: { url, wasmPaths, modelPath, allowRemoteModels }; relative URLs resolve against this script.
+ * A self-hosted runtime looks for its ONNX .wasm files next to itself unless wasmPaths says otherwise.
+ */
+async function getRuntime({ url = DEFAULT_RUNTIME_URL, wasmPaths = null, modelPath = null, allowRemoteModels = true } = {}) {
+    if (!runtimes.has(url)) {
+        const loading = import(url);
+        runtimes.set(url, loading);
+        // A failed import can be retried, e.g. once the file is in place
+        loading.catch(() => runtimes.delete(url));
+    }
+    const transformers = await runtimes.get(url);
+
+    const { env } = transformers;
+    env.allowRemoteModels = allowRemoteModels;
+    env.allowLocalModels = Boolean(modelPath);
+    if (modelPath) env.localModelPath = modelPath;
+    if (wasmPaths) {
+        env.backends.onnx.wasm.wasmPaths = wasmPaths;
+    } else if (url !== DEFAULT_RUNTIME_URL) {
+        env.backends.onnx.wasm.wasmPaths = new URL('./', new URL(url, self.location.href)).href;
+    }
+    return transformers;
+}
+
+/**
+ * Progress callback for transformers.js that forwards download progress to the page
+ */
+function reportProgress(id) {
+    return (progress) => {
+        if (progress.status === 'downloading' || progress.status === 'progress') {
+            const percent = progress.progress ? Math.round(progress.progress) : 0;
+            self.postMessage({ id, type: 'loading', percent, file: progress.file });
+        }
+    };
+}
+
+/**
+ * Load the Whisper pipeline, reporting download progress back to the page
+ */
+async function loadModel(id, model, runtime) {
+    const transformers = await getRuntime(runtime);
+    if (asr && loadedModel === model && loadedRuntime === transformers) return;
+    if (asr) {
+        await asr.dispose();
+        asr = null;
+    }
+
+    asr = await transformers.pipeline('automatic-speech-recognition', model, { progress_callback: reportProgress(id) });
+    loadedModel = model;
+    loadedRuntime = transformers;
+}
+
+/**
+ * Fetch a Whisper model into the browser cache without replacing the one in use
+ */
+async function downloadModel(id, model, runtime) {
+    const { pipeline } = await getRuntime(runtime);
+    if (asr && loadedModel === model) return;
+
+    const downloaded = await pipeline('automatic-speech-recognition', model, { progress_callback: reportProgress(id) });
+    await downloaded.dispose();
+}
+
+/**
+ * Load the speaker embedding (x-vector) model, reporting download progress like loadModel()
+ */
+async function loadSpeakerModel(id, model, runtime) {
+    const { AutoProcessor, AutoModelForXVector } = await getRuntime(runtime);
+    if (speakerModel && loadedSpeakerModel === model) return;
+    if (speakerModel) {
+        await speakerModel.dispose();
+        speakerModel = null;
+    }
+
+    const progress_callback = reportProgress(id);
+    speakerProcessor = await AutoProcessor.from_pretrained(model, { progress_callback });
+    speakerModel = await AutoModelForXVector.from_pretrained(model, { progress_callback });
+    loadedSpeakerModel = model;
+}
+
+/**
+ * Compute a speaker embedding for each [start, end) sample range of the audio
+ */
+async function embedSpeakers(audio, ranges) {
+    if (!speakerModel) throw new Error('Speaker model is not loaded');
+
+    const embeddings = [];
+    for (const [start, end] of ranges) {
+        const inputs = await speakerProcessor(audio.subarray(start, end));
+        const { embeddings: output } = await speakerModel(inputs);
+        embeddings.push(new Float32Array(output.data));
+    }
+    return embeddings;
+}
+
+/**
+ * Run Whisper on one window (up to 30s) of 16kHz mono audio
+ * Timestamps in the result are relative to the start of the window
+ * Every segment (and word) gets a confidence: the geometric mean probability of its text tokens
+ */
+async function transcribe(audio, { wordTimestamps = false, prompt = null, ...options } = {}) {
+    if (!asr) throw new Error('Model is not loaded');
+
+    // Both modes keep the raw generated chunk so token probabilities can be matched to the output
+    let decoded = null;
+    const { result, logprobs } = await withPrompt(prompt, (promptLength) => scoreTokens((scoring) => asr(audio, {
+        ...options,
+        ...scoring,
+        return_timestamps: wordTimestamps ? 'word' : true,
+        chunk_callback: (chunk) => {
+            // The pipeline decodes the chunk after this, so cutting the prompt here keeps it out of the text
+            if (promptLength) {
+                chunk.tokens = chunk.tokens.slice(promptLength);
+                if (chunk.token_timestamps) chunk.token_timestamps = chunk.token_timestamps.slice(promptLength);
+            }
+            decoded = chunk;
+        }
+    })));
+
+    const timePrecision = asr.processor.feature_extractor.config.chunk_length / asr.model.config.max_source_positions;
+    const groups = decoded ? tokenGroups(decoded.tokens, logprobs, timePrecision) : [];
+
+    if (!wordTimestamps) {
+        scoreSegments(result.chunks || [], groups);
+        return result;
+    }
+
+    // Word mode flattens the output into words, so decode the same tokens again at segment level
+    const [text, { chunks = [] }] = asr.tokenizer._decode_asr([decoded], {
+        time_precision: timePrecision,
+        return_timestamps: true,
+        force_full_sequences: false
+    });
+    scoreSegments(chunks, groups);
+    scoreWords(result.chunks || [], groups, decoded.tokens);
+
+    return { text, chunks: assignWords(chunks, result.chunks || []) };
+}
+
+/**
+ * Run the pipeline with a prompt: text the decoder takes as the transcript before this window
+ * transformers.js has no option for it, so the decoder prefix is rewritten on its way into generate():
+ * <|startofprev|> prompt <|startoftranscript|>, then the language and task tokens it would have forced.
+ * run() gets the number of prompt tokens at the start of the generated sequence (none without a prompt).
+ */
+async function withPrompt(prompt, run) {
+    if (!prompt || !prompt.trim()) return run(0);
+
+    const model = asr.model;
+    const generate = model.generate;
+    const tokenizer = asr.tokenizer;
+    const [startOfPrev, startOfTranscript] = tokenizer.model.convert_tokens_to_ids(['<|startofprev|>', '<|startoftranscript|>']);
+    const promptTokens = tokenizer.encode(' ' + prompt.trim(), null, { add_special_tokens: false });
+    const context = [startOfPrev, ...promptTokens.slice(-MAX_PROMPT_TOKENS)];
+
+    model.generate = (inputs, config = {}, ...rest) => {
+        const forced = config.forced_decoder_ids || (model.generation_config && model.generation_config.forced_decoder_ids) || [];
+        const prefix = [...context, startOfTranscript, ...[...forced].sort((a, b) => a[0] - b[0]).map(([, token]) => token)];
+        return generate.call(model, inputs, {
+            ...config,
+            decoder_input_ids: prefix,
+            // Listing every position of the prefix as forced makes the timestamp rules start counting after it
+            forced_decoder_ids: prefix.slice(1).map((token, i) => [i + 1, token])
+        }, ...rest);
+    };
+
+    try {
+        return await run(context.length);
+    } finally {
+        model.generate = generate;
+    }
+}
+
+/**
+ * Run the pipeline while recording the log-probability of every token the model picks
+ * transformers.js only hands back token ids, so the decoder's logits are caught on the way through;
+ * they are taken before token suppression and the timestamp rules, so the probabilities are the model's own
+ */
+async function scoreTokens(run) {
+    const model = asr.model;
+    const runBeam = model.runBeam;
+    const updateBeam = model.updateBeam;
+    let logprobs = [];
+
+    model.runBeam = async (beam) => {
+        const output = await runBeam.call(model, beam);
+        beam.logits = output.logits;
+        return output;
+    };
+    // Called on a copy of the beam for each token it is extended with
+    model.updateBeam = (beam, tokenId) => {
+        beam.logprobs = [...(beam.logprobs || []), tokenLogprob(beam.logits, tokenId)];
+        beam.logits = null;
+        return updateBeam.call(model, beam, tokenId);
+    };
+
+    try {
+        const result = await run({
+            callback_function: (beams) => { logprobs = beams[0].logprobs || []; }
+        });
+        return { result, logprobs };
+    } finally {
+        // Put back what was there; deleting would also drop methods set on the model itself
+        model.runBeam = runBeam;
+        model.updateBeam = updateBeam;
+    }
+}
+
+/**
+ * Log-softmax of the last position's logits, taken at one token
+ */
+function tokenLogprob(logits, tokenId) {
+    const vocab = logits.dims[logits.dims.length - 1];
+    const data = logits.data;
+    const from = data.length - vocab;
+
+    let max = -Infinity;
+    for (let i = from; i < data.length; i++) {
+        if (data[i] > max) max = data[i];
+    }
+    let sum = 0;
+    for (let i = from; i < data.length; i++) {
+        sum += Math.exp(data[i] - max);
+    }
+    return data[from + tokenId] - max - Math.log(sum);
+}
+
+/**
+ * Split a generated token sequence at its timestamp tokens
+ * Returns { start, tokens, logprobs } per run of text tokens, start being the time that opened it
+ */
+function tokenGroups(tokens, logprobs, timePrecision) {
+    const specialIds = new Set(asr.tokenizer.all_special_ids);
+    const timestampBegin = asr.tokenizer.model.convert_tokens_to_ids(['<|notimestamps|>'])[0] + 1;
+    // The prompt tokens were given, not generated, so log-probabilities line up with the end of the sequence
+    const first = tokens.length - logprobs.length;
+
+    const groups = [];
+    let group = null;
+    tokens.forEach((token, i) => {
+        token = Number(token);
+        if (token >= timestampBegin) {
+            const time = Math.round((token - timestampBegin) * timePrecision * 100) / 100;
+            if (!group || group.tokens.length) {
+                group = { start: time, tokens: [], logprobs: [] };
+                groups.push(group);
+            }
+        } else if (!specialIds.has(token) && i >= first) {
+            if (!group) {
+                group = { start: 0, tokens: [], logprobs: [] };
+                groups.push(group);
+            }
+            group.tokens.push(token);
+            group.logprobs.push(logprobs[i - first]);
+        }
+    });
+    return groups.filter(g => g.tokens.length);
+}
+
+/**
+ * exp() of the mean log-probability, or undefined for no tokens
+ */
+function meanProbability(logprobs) {
+    if (!logprobs.length) return undefined;
+    return Math.exp(logprobs.reduce((sum, p) => sum + p, 0) / logprobs.length);
+}
+
+/**
+ * Give each segment the confidence of the token group starting closest to it
+ */
+function scoreSegments(segments, groups) {
+    if (!groups.length) return;
+    for (const segment of segments) {
+        const start = segment.timestamp[0] || 0;
+        let best = groups[0];
+        for (const group of groups) {
+            if (Math.abs(group.start - start) < Math.abs(best.start - start)) best = group;
+        }
+        segment.confidence = meanProbability(best.logprobs);
+    }
+}
+
+/**
+ * Give each word the confidence of the tokens it was built from
+ * Words are regrouped from the tokens the way the tokenizer does it; if the count disagrees they are left unscored
+ */
+function scoreWords(words, groups, tokens) {
+    // Only languages written without spaces are split differently; the tokenizer knows them by name
+    const specialIds = new Set(asr.tokenizer.all_special_ids);
+    const languageToken = tokens.map(Number).filter(token => specialIds.has(token))
+        .map(token => asr.tokenizer.decode([token])).find(text => /^<\|[a-z]{2,3}\|>$/.test(text));
+    const language = (languageToken && UNSPACED_LANGUAGES[languageToken.slice(2, -2)]) || 'english';
+    const scores = [];
+    for (const group of groups) {
+        const [, , indices] = asr.tokenizer.combineTokensIntoWords(group.tokens, language);
+        indices.forEach(tokenIndices => {
+            scores.push(meanProbability(tokenIndices.map(i => group.logprobs[i])));
+        });
+    }
+    if (scores.length !== words.length) return;
+    words.forEach((word, i) => { word.confidence = scores[i]; });
+}
+
+/**
+ * Let a multilingual model predict the language token for a window
+ * Returns a language code such as 'fr', or null if the model produced something else
+ */
+async function detectLanguage(audio) {
+    if (!asr) throw new Error('Model is not loaded');
+
+    // With no language forced, the first token Whisper generates after <|startoftranscript|> is the language
+    let tokens = [];
+    await asr(audio, {
+        max_new_tokens: 1,
+        chunk_callback: (chunk) => { tokens = chunk.tokens; }
+    });
+
+    const token = tokens.length > 1 ? asr.tokenizer.decode([tokens[1]]) : '';
+    const match = /^<\|([a-z]{2,3})\|>$/.exec(token);
+    return match ? match[1] : null;
+}
+
+self.onmessage = async (e) => {
+    const { id, type } = e.data;
+
+    try {
+        if (type === 'load') {
+            await loadModel(id, e.data.model, e.data.runtime);
+            self.postMessage({ id, type: 'done' });
+        } else if (type === 'transcribe') {
+            const result = await transcribe(e.data.audio, e.data.options);
+            self.postMessage({ id, type: 'done', result });
+        } else if (type === 'loadSpeakers') {
+            await loadSpeakerModel(id, e.data.model, e.data.runtime);
+            self.postMessage({ id, type: 'done' });
+        } else if (type === 'download') {
+            await downloadModel(id, e.data.model, e.data.runtime);
+            self.postMessage({ id, type: 'done' });
+        } else if (type === 'embed') {
+            const embeddings = await embedSpeakers(e.data.audio, e.data.ranges);
+            self.postMessage({ id, type: 'done', result: embeddings }, embeddings.map(embedding => embedding.buffer));
+        } else if (type === 'detect') {
+            const language = await detectLanguage(e.data.audio);
+            self.postMessage({ id, type: 'done', result: language });
+        } else {
+            throw new Error(`Unknown message type: ${type}`);
+        }
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};